@@ -0,0 +1,363 @@
+const crypto = require("crypto");
+const http = require("http");
+const Logger = require("./Logger");
+const RegisterMap = require("./RegisterMap");
+
+/**
+ * Local HTTP/JSON API for reading the state of the devices and issuing commands, plus a status page on /.
+ *
+ * - GET /api/state: latest values, connection state and diagnostics
+ * - GET /api/controls: Poller.CONTROLS with their current value
+ * - POST /api/control/<key>: the body is JSON with the payload of the MQTT command topic as value property
+ *
+ * All routes take the device as ?device=<ID>, which may be omitted if only one device is configured.
+ * Commands go through the same CommandHandler as those received via MQTT.
+ * If a token is configured, it has to be sent as "Authorization: Bearer <token>" or as ?token=<token>.
+ * The API only listens on localhost unless another host is configured. As browsers don't send JSON to other sites
+ * without asking, other content types are rejected so that commands can't be sent by a form on any website.
+ */
+class ApiServer {
+    /**
+     * @param {Array<import("./Poller")>} pollers
+     * @param {object} options
+     * @param {number} options.port
+     * @param {string} [options.host] defaults to localhost
+     * @param {string} [options.token]
+     */
+    constructor(pollers, options) {
+        this.pollers = new Map(pollers.map(poller => [poller.identifier, poller]));
+        this.port = options.port;
+        this.host = options.host ?? "127.0.0.1";
+        this.token = options.token;
+
+        this.data = {};
+
+        pollers.forEach(poller => {
+            poller.onData((data) => {
+                const merged = Object.assign({}, this.data[poller.identifier], data);
+                this.data[poller.identifier] = RegisterMap.prune(merged, poller.getHardware());
+            });
+            poller.onCommandResult((result, state) => {
+                if (state !== undefined && this.data[poller.identifier]) {
+                    this.data[poller.identifier][result.key] = state;
+                }
+            });
+        });
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(err => {
+                Logger.error("Error while handling API request", err);
+                this.sendJson(res, 500, { error: err.message });
+            });
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    initialize() {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off("error", reject);
+                Logger.info(`Serving the API on http://${this.host}:${this.server.address().port}/`);
+                if (!this.token && !ApiServer.LOOPBACK_HOSTS.includes(this.host)) {
+                    Logger.warn("The API can be used by anyone on the network as no token is configured");
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url, "http://localhost");
+
+        if (!this.isAuthorized(req, url)) {
+            res.setHeader("WWW-Authenticate", "Bearer");
+            this.sendJson(res, 401, { error: "Unauthorized" });
+            return;
+        }
+
+        const route = ApiServer.ROUTES.find(r => r.method === req.method && r.pattern.test(url.pathname));
+        if (!route) {
+            this.sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+            return;
+        }
+
+        if (route.handler === "status") {
+            res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+            res.end(this.renderStatusPage());
+            return;
+        }
+
+        const poller = this.getPoller(url);
+        if (typeof poller === "string") {
+            this.sendJson(res, 404, { error: poller });
+            return;
+        }
+
+        switch (route.handler) {
+            case "state":
+                this.sendJson(res, 200, this.getState(poller));
+                break;
+            case "controls":
+                this.sendJson(res, 200, this.getControls(poller));
+                break;
+            case "control": {
+                const key = decodeURIComponent(url.pathname.match(route.pattern)[1]);
+
+                if (!poller.constructor.CONTROLS[key]) {
+                    this.sendJson(res, 404, { error: `Unknown control key: ${key}` });
+                    return;
+                }
+
+                if (!(req.headers["content-type"] ?? "").startsWith("application/json")) {
+                    this.sendJson(res, 415, { error: "Commands have to be sent as application/json" });
+                    return;
+                }
+
+                let payload;
+                try {
+                    payload = ApiServer.parsePayload(await this.readBody(req));
+                } catch (e) {
+                    this.sendJson(res, 400, { error: e.message });
+                    return;
+                }
+
+                Logger.info(`[${poller.identifier}] Received command for ${key} via the API: ${payload}`);
+
+                const result = await poller.executeCommand(key, payload);
+                this.sendJson(res, result.success ? 200 : 422, result);
+                break;
+            }
+        }
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {URL} url
+     * @returns {boolean}
+     */
+    isAuthorized(req, url) {
+        if (!this.token) {
+            return true;
+        }
+
+        const header = req.headers.authorization ?? "";
+        const provided = header.startsWith("Bearer ") ? header.slice(7) : url.searchParams.get("token");
+
+        if (!provided) {
+            return false;
+        }
+
+        // Compare digests so that neither the length nor the content leaks through the timing
+        const expected = crypto.createHash("sha256").update(this.token).digest();
+        const actual = crypto.createHash("sha256").update(provided).digest();
+
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * @param {URL} url
+     * @returns {import("./Poller")|string} the poller or why none was found
+     */
+    getPoller(url) {
+        const identifier = url.searchParams.get("device");
+
+        if (identifier === null) {
+            if (this.pollers.size === 1) {
+                return this.pollers.values().next().value;
+            }
+
+            return `More than one device is configured. Pass one of ${[...this.pollers.keys()].join(", ")} as ?device=`;
+        }
+
+        return this.pollers.get(identifier) ?? `Unknown device: ${identifier}`;
+    }
+
+    /**
+     * @param {import("./Poller")} poller
+     * @returns {object}
+     */
+    getState(poller) {
+        const data = this.data[poller.identifier] ?? {};
+        const values = {};
+
+        Object.entries(data).forEach(([key, value]) => {
+            values[key] = ApiServer.formatValue(poller, key, value);
+        });
+
+        return {
+            device: poller.identifier,
+            connected: poller.connected,
+            diagnostics: Object.assign({}, poller.diagnostics),
+            values: values
+        };
+    }
+
+    /**
+     * @param {import("./Poller")} poller
+     * @returns {Array<object>} the controls with what is needed to validate commands before sending them
+     */
+    getControls(poller) {
+        const data = this.data[poller.identifier] ?? {};
+
+        return Object.entries(poller.constructor.CONTROLS).map(([key, control]) => {
+            const field = FIELDS.get(key);
+            const schema = { key: key, type: control.type };
+
+            if (field && field.unit) {
+                schema.unit = field.unit;
+            }
+
+            switch (control.type) {
+                case "number":
+                    Object.assign(schema, { min: control.min, max: control.max, step: control.step });
+                    break;
+                case "select":
+                    schema.options = Object.values(control.map);
+                    break;
+                case "switch":
+                    schema.options = ["ON", "OFF"];
+                    break;
+                case "button":
+                    schema.options = control.dangerous ? ["ARM", "PRESS"] : ["PRESS"];
+                    schema.dangerous = control.dangerous === true;
+                    schema.enabled = poller.commandGuard.isAllowed(control);
+                    break;
+            }
+
+            if (control.type !== "button") {
+                schema.value = data[key] !== undefined ? ApiServer.formatValue(poller, key, data[key]) : null;
+            }
+
+            return schema;
+        });
+    }
+
+    /**
+     * @returns {string}
+     */
+    renderStatusPage() {
+        const sections = [...this.pollers.values()].map(poller => {
+            const state = this.getState(poller);
+            const rows = Object.entries(state.values).map(([key, value]) => {
+                const field = FIELDS.get(key);
+                const formatted = typeof value === "object" && value !== null ? JSON.stringify(value) : `${value}`;
+                const unit = field && field.unit ? ` ${field.unit}` : "";
+
+                return `<tr><td>${escapeHtml(key)}</td><td>${escapeHtml(formatted + unit)}</td></tr>`;
+            });
+
+            return [
+                `<h2>${escapeHtml(poller.identifier)}</h2>`,
+                `<p>Connection: <strong>${state.connected ? "online" : "offline"}</strong><br>`,
+                `Last poll: ${escapeHtml(state.diagnostics.last_poll ?? "never")}</p>`,
+                rows.length > 0 ? `<table>${rows.join("")}</table>` : "<p>No data yet</p>"
+            ].join("\n");
+        });
+
+        return [
+            "<!DOCTYPE html>",
+            "<html><head><meta charset=\"utf-8\"><meta http-equiv=\"refresh\" content=\"10\">",
+            "<title>marstek2mqtt</title>",
+            "<style>body{font-family:sans-serif}td{padding:0 1em 0 0}</style></head><body>",
+            "<h1>marstek2mqtt</h1>",
+            ...sections,
+            "</body></html>"
+        ].join("\n");
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @returns {Promise<string>}
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on("data", chunk => {
+                size += chunk.length;
+                if (size > ApiServer.MAX_BODY_SIZE) {
+                    reject(new Error("Request body too large"));
+                    req.destroy();
+                } else {
+                    chunks.push(chunk);
+                }
+            });
+            req.on("end", () => resolve(Buffer.concat(chunks).toString()));
+            req.on("error", reject);
+        });
+    }
+
+    /**
+     * @param {http.ServerResponse} res
+     * @param {number} status
+     * @param {*} body
+     */
+    sendJson(res, status, body) {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * @param {string} body
+     * @returns {string} the payload as it would be sent to the MQTT command topic
+     */
+    static parsePayload(body) {
+        let json;
+        try {
+            json = JSON.parse(body);
+        } catch (e) {
+            throw new Error(`Invalid JSON: ${e.message}`);
+        }
+
+        if (json === null || typeof json !== "object" || !("value" in json)) {
+            throw new Error("JSON body needs a value property");
+        }
+
+        return typeof json.value === "object" ? JSON.stringify(json.value) : `${json.value}`;
+    }
+
+    /**
+     * Like Poller.formatValue, but keeps schedules as objects
+     *
+     * @param {import("./Poller")} poller
+     * @param {string} key
+     * @param {*} value
+     * @returns {*}
+     */
+    static formatValue(poller, key, value) {
+        return typeof value === "object" ? value : poller.constructor.formatValue(key, value);
+    }
+}
+
+function escapeHtml(str) {
+    return str.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+const FIELDS = new Map(RegisterMap.FIELDS.map(field => [field.key, field]));
+
+ApiServer.MAX_BODY_SIZE = 64 * 1024;
+ApiServer.LOOPBACK_HOSTS = Object.freeze(["127.0.0.1", "::1", "localhost"]);
+
+ApiServer.ROUTES = Object.freeze([
+    { method: "GET", pattern: /^\/$/, handler: "status" },
+    { method: "GET", pattern: /^\/api\/state$/, handler: "state" },
+    { method: "GET", pattern: /^\/api\/controls$/, handler: "controls" },
+    { method: "POST", pattern: /^\/api\/control\/([^/]+)$/, handler: "control" }
+]);
+
+module.exports = ApiServer;
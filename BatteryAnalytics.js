@@ -0,0 +1,216 @@
+const Logger = require("./Logger");
+const RegisterMap = require("./RegisterMap");
+const StateFile = require("./StateFile");
+
+/**
+ * Derives health indicators from the data of a poll cycle:
+ * - cell voltage spread per module and for the whole pack as well as the weakest cell
+ * - SoC divergence between the modules
+ * - lifetime round-trip efficiency
+ * - usable capacity, estimated from the energy discharged between a full and an empty battery
+ *
+ * Problems are raised when a value crosses its threshold and cleared once it is back within
+ * threshold minus hysteresis, so that values hovering around a threshold don't produce a flood of events.
+ *
+ * The capacity estimate and the running discharge are persisted as they take days to collect.
+ */
+class BatteryAnalytics {
+    /**
+     * @param {object} options
+     * @param {string} options.statePath JSON file the capacity estimation is stored in
+     * @param {number} [options.maxCellVoltageSpread] V
+     * @param {number} [options.maxSocDivergence] %
+     * @param {number} [options.maxCellTemperature] °C
+     * @param {number} [options.minCellTemperature] °C
+     * @param {number} [options.minCapacityHealth] % of the design capacity
+     * @param {number} [options.fullSoc] SoC at and above which the battery counts as full
+     * @param {number} [options.emptySoc] SoC at and below which the battery counts as empty
+     */
+    constructor(options) {
+        this.statePath = options.statePath;
+        this.thresholds = {
+            cell_voltage_spread: options.maxCellVoltageSpread ?? 0.1,
+            soc_divergence: options.maxSocDivergence ?? 5,
+            max_cell_temperature: options.maxCellTemperature ?? 50,
+            min_cell_temperature: options.minCellTemperature ?? 0,
+            capacity_health: options.minCapacityHealth ?? 80
+        };
+        this.fullSoc = options.fullSoc ?? 98;
+        this.emptySoc = options.emptySoc ?? 15;
+
+        this.activeProblems = {};
+        this.state = this.load();
+    }
+
+    /**
+     * @param {object} data as emitted by the Poller
+     * @param {Date} [now]
+     * @returns {{values: object, events: Array<object>}} the derived values and the problems raised or cleared
+     */
+    analyze(data, now = new Date()) {
+        const values = {};
+        const packCells = [];
+
+        for (let m = 1; m <= RegisterMap.MAX_MODULES; m++) {
+            const cells = [];
+
+            for (let c = 1; c <= RegisterMap.CELLS_PER_MODULE; c++) {
+                const voltage = data[`battery_${m}_cell_${c}_voltage`];
+
+                if (typeof voltage === "number" && voltage > 0) {
+                    cells.push(voltage);
+                    packCells.push({ module: m, cell: c, voltage: voltage });
+                }
+            }
+
+            if (cells.length > 0) {
+                values[`battery_${m}_cell_voltage_spread`] = round(Math.max(...cells) - Math.min(...cells), 3);
+            }
+        }
+
+        if (packCells.length > 0) {
+            const weakest = packCells.reduce((min, cell) => cell.voltage < min.voltage ? cell : min);
+
+            values.cell_voltage_spread = round(Math.max(...packCells.map(c => c.voltage)) - weakest.voltage, 3);
+            values.weakest_cell = `Battery ${weakest.module} Cell ${weakest.cell}`;
+        } else if (data.max_cell_voltage !== undefined && data.min_cell_voltage !== undefined) {
+            values.cell_voltage_spread = round(data.max_cell_voltage - data.min_cell_voltage, 3);
+        }
+
+        const moduleSocs = Object.keys(data)
+            .filter(key => /^battery_\d+_soc$/.test(key))
+            .map(key => data[key]);
+        if (moduleSocs.length > 1) {
+            values.soc_divergence = round(Math.max(...moduleSocs) - Math.min(...moduleSocs), 2);
+        }
+
+        if (data.total_energy_in > 0) {
+            values.round_trip_efficiency = round(data.total_energy_out / data.total_energy_in * 100, 1);
+        }
+
+        this.updateCapacityEstimate(data, now);
+        if (this.state.estimatedCapacity !== null) {
+            values.estimated_capacity = round(this.state.estimatedCapacity, 3);
+
+            if (data.battery_design_capacity > 0) {
+                values.capacity_health = round(this.state.estimatedCapacity / data.battery_design_capacity * 100, 1);
+            }
+        }
+
+        const events = this.checkProblems(Object.assign({}, data, values), now);
+        values.battery_problem = Object.keys(this.activeProblems).length > 0 ? "ON" : "OFF";
+
+        return { values: values, events: events };
+    }
+
+    /**
+     * A discharge from fullSoc down to emptySoc without charging in between yields
+     * the usable capacity as discharged energy divided by the SoC span
+     *
+     * @param {object} data
+     * @param {Date} now
+     */
+    updateCapacityEstimate(data, now) {
+        const soc = data.soc;
+        const discharge = this.state.discharge;
+
+        if (typeof soc !== "number" || typeof data.total_energy_in !== "number" || typeof data.total_energy_out !== "number") {
+            return;
+        }
+
+        if (soc >= this.fullSoc) {
+            const start = { soc: soc, energyIn: data.total_energy_in, energyOut: data.total_energy_out };
+
+            if (JSON.stringify(start) !== JSON.stringify(discharge)) {
+                this.state.discharge = start;
+                this.save();
+            }
+        } else if (discharge && data.total_energy_in - discharge.energyIn > BatteryAnalytics.CHARGE_TOLERANCE) {
+            // Charged in between, so the SoC span no longer matches the discharged energy
+            this.state.discharge = null;
+            this.save();
+        } else if (discharge && soc <= this.emptySoc) {
+            const span = (discharge.soc - soc) / 100;
+            const capacity = (data.total_energy_out - discharge.energyOut) / span;
+
+            if (capacity > 0) {
+                this.state.estimatedCapacity = capacity;
+                this.state.estimatedAt = now.toISOString();
+                Logger.info(`Estimated a usable capacity of ${capacity.toFixed(3)} kWh from a discharge of ${Math.round(span * 100)}% SoC`);
+            }
+
+            this.state.discharge = null;
+            this.save();
+        }
+    }
+
+    /**
+     * @param {object} values polled and derived values
+     * @param {Date} now
+     * @returns {Array<object>} the problems that were raised or cleared
+     */
+    checkProblems(values, now) {
+        const events = [];
+
+        BatteryAnalytics.PROBLEMS.forEach(problem => {
+            const value = values[problem.key];
+            const threshold = this.thresholds[problem.key];
+
+            if (typeof value !== "number") {
+                return;
+            }
+
+            const active = this.activeProblems[problem.key] === true;
+            const exceeded = problem.direction === "above" ? value > threshold : value < threshold;
+            const recovered = problem.direction === "above" ?
+                value <= threshold - problem.hysteresis :
+                value >= threshold + problem.hysteresis;
+
+            if (!active && exceeded) {
+                this.activeProblems[problem.key] = true;
+            } else if (active && recovered) {
+                delete this.activeProblems[problem.key];
+            } else {
+                return;
+            }
+
+            events.push({
+                problem: problem.key,
+                active: !active,
+                message: `${problem.name} ${!active ? `is ${problem.direction} the threshold of ${threshold}` : "is back to normal"}`,
+                value: value,
+                threshold: threshold,
+                timestamp: now.toISOString()
+            });
+        });
+
+        return events;
+    }
+
+    load() {
+        return StateFile.load(this.statePath, { estimatedCapacity: null, estimatedAt: null, discharge: null }, "battery analytics state");
+    }
+
+    save() {
+        StateFile.save(this.statePath, this.state, "battery analytics state");
+    }
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+
+    return Math.round(value * factor) / factor;
+}
+
+// kWh that may be charged during a discharge without invalidating it, e.g. due to counter jitter
+BatteryAnalytics.CHARGE_TOLERANCE = 0.05;
+
+BatteryAnalytics.PROBLEMS = Object.freeze([
+    { key: "cell_voltage_spread", name: "Cell voltage spread", direction: "above", hysteresis: 0.01 },
+    { key: "soc_divergence", name: "SoC divergence between modules", direction: "above", hysteresis: 1 },
+    { key: "max_cell_temperature", name: "Max cell temperature", direction: "above", hysteresis: 2 },
+    { key: "min_cell_temperature", name: "Min cell temperature", direction: "below", hysteresis: 2 },
+    { key: "capacity_health", name: "Capacity health", direction: "below", hysteresis: 0 }
+]);
+
+module.exports = BatteryAnalytics;
@@ -0,0 +1,117 @@
+/**
+ * Safety checks every command has to pass before it is written to the device:
+ * - range and step validation of number controls
+ * - two-step confirmation (ARM, then PRESS within armTimeout) of dangerous buttons, or rejecting them entirely
+ * - a sliding-window rate limit so that a misbehaving automation cannot flood the device
+ */
+class CommandGuard {
+    /**
+     * @param {object} [options]
+     * @param {"confirm"|"disabled"} [options.dangerousCommands]
+     * @param {number} [options.armTimeout] ms a dangerous button stays armed
+     * @param {number} [options.maxWrites] writes allowed per rateWindow
+     * @param {number} [options.rateWindow] ms
+     */
+    constructor(options = {}) {
+        this.dangerousCommands = options.dangerousCommands ?? "confirm";
+        this.armTimeout = options.armTimeout ?? 10000;
+        this.maxWrites = options.maxWrites ?? 20;
+        this.rateWindow = options.rateWindow ?? 60000;
+
+        this.writeTimestamps = [];
+        this.armedUntil = {};
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} control
+     * @param {string} payload
+     * @returns {{value?: number, error?: string}}
+     */
+    parseNumber(key, control, payload) {
+        const value = payload.trim() === "" ? NaN : Number(payload);
+
+        if (!Number.isInteger(value)) {
+            return { error: `Invalid number '${payload}' for ${key}` };
+        }
+
+        const error = this.validateNumber(key, control, value);
+
+        return error ? { error: error } : { value: value };
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} control
+     * @param {number} value
+     * @returns {string|null} the reason the value is rejected
+     */
+    validateNumber(key, control, value) {
+        if (!Number.isInteger(value)) {
+            return `Invalid number '${value}' for ${key}`;
+        }
+        if (control.min !== undefined && value < control.min) {
+            return `${value} is below the minimum of ${control.min} for ${key}`;
+        }
+        if (control.max !== undefined && value > control.max) {
+            return `${value} is above the maximum of ${control.max} for ${key}`;
+        }
+        if (control.step !== undefined && (value - (control.min ?? 0)) % control.step !== 0) {
+            return `${value} is not a multiple of ${control.step} for ${key}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {object} control
+     * @returns {boolean}
+     */
+    isAllowed(control) {
+        return !control.dangerous || this.dangerousCommands !== "disabled";
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} [now]
+     */
+    arm(key, now = Date.now()) {
+        this.armedUntil[key] = now + this.armTimeout;
+    }
+
+    /**
+     * Disarms the key in any case so that every dangerous press needs its own confirmation
+     *
+     * @param {string} key
+     * @param {number} [now]
+     * @returns {boolean} whether the key was armed
+     */
+    consumeArm(key, now = Date.now()) {
+        const armed = this.armedUntil[key] !== undefined && now <= this.armedUntil[key];
+        delete this.armedUntil[key];
+
+        return armed;
+    }
+
+    /**
+     * Accounts for a write if the rate limit allows it
+     *
+     * @param {number} [now]
+     * @returns {string|null} the reason the write is rejected
+     */
+    acquireWrite(now = Date.now()) {
+        this.writeTimestamps = this.writeTimestamps.filter(timestamp => now - timestamp < this.rateWindow);
+
+        if (this.writeTimestamps.length >= this.maxWrites) {
+            return `Rate limit of ${this.maxWrites} writes per ${this.rateWindow / 1000}s exceeded`;
+        }
+
+        this.writeTimestamps.push(now);
+
+        return null;
+    }
+}
+
+CommandGuard.DANGEROUS_COMMAND_MODES = ["confirm", "disabled"];
+
+module.exports = CommandGuard;
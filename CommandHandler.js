@@ -0,0 +1,202 @@
+const Logger = require("./Logger");
+
+/**
+ * Turns the payload of a command into a write to one of the Poller.CONTROLS, enforcing the CommandGuard on the way.
+ * Every interface accepting commands goes through this, so MQTT and the HTTP API validate commands the same way.
+ *
+ * A command never throws. Its outcome is described by a result object as published on <ID>/command_result.
+ */
+class CommandHandler {
+    /**
+     * @param {import("./Poller")} poller
+     */
+    constructor(poller) {
+        this.poller = poller;
+    }
+
+    /**
+     * @param {string} key of a control
+     * @param {string} payload
+     * @returns {Promise<{result: object, state?: *}>} the command result and the raw value read back after writing
+     */
+    async execute(key, payload) {
+        const poller = this.poller;
+        const control = poller.constructor.CONTROLS[key];
+        const guard = poller.commandGuard;
+
+        if (!control) {
+            return this.reject(key, payload, `Unknown control key: ${key}`);
+        }
+
+        if (control.type === "select") {
+            const intVal = Object.keys(control.map).find(k => control.map[k] === payload);
+
+            if (intVal === undefined) {
+                return this.reject(key, payload, `Invalid option '${payload}' for ${key}. Expected: ${Object.values(control.map).join(", ")}`);
+            }
+
+            return this.write(key, parseInt(intVal), payload);
+        }
+
+        if (control.type === "switch") {
+            if (payload === "ON") {
+                return this.write(key, control.on, payload);
+            } else if (payload === "OFF") {
+                return this.write(key, control.off, payload);
+            }
+
+            return this.reject(key, payload, `Invalid value '${payload}' for switch ${key}. Expected: ON, OFF`);
+        }
+
+        if (control.type === "button") {
+            if (!guard.isAllowed(control)) {
+                return this.reject(key, payload, `${key} is disabled by configuration`);
+            } else if (payload === "ARM" && control.dangerous) {
+                guard.arm(key);
+                Logger.info(`[${poller.identifier}] ${key} armed for ${guard.armTimeout / 1000}s`);
+
+                return { result: CommandHandler.createResult(key, payload, "ARMED") };
+            } else if (payload === "PRESS") {
+                if (control.dangerous && !guard.consumeArm(key)) {
+                    return this.reject(key, payload, `${key} has to be armed with ARM within ${guard.armTimeout / 1000}s before pressing it`);
+                }
+
+                return this.write(key, control.command, payload);
+            }
+
+            const expected = control.dangerous ? "ARM, PRESS" : "PRESS";
+            return this.reject(key, payload, `Invalid value '${payload}' for button ${key}. Expected: ${expected}`);
+        }
+
+        if (control.type === "schedule") {
+            return this.writeSchedule(key, control, payload);
+        }
+
+        if (control.type === "number") {
+            const number = guard.parseNumber(key, control, payload);
+            if (number.error) {
+                return this.reject(key, payload, number.error);
+            }
+
+            return this.write(key, number.value, payload);
+        }
+
+        return this.reject(key, payload, `Unsupported control type '${control.type}' for ${key}`);
+    }
+
+    /**
+     * Writes the raw value of a control and reports the value read back
+     *
+     * @param {string} key
+     * @param {number} value raw register value
+     * @param {string} requested payload of the command
+     * @returns {Promise<{result: object, state?: *}>}
+     */
+    async write(key, value, requested) {
+        const poller = this.poller;
+        const register = poller.constructor.CONTROLS[key].register;
+
+        const rateError = poller.commandGuard.acquireWrite();
+        if (rateError) {
+            return this.reject(key, requested, rateError);
+        }
+
+        let actual;
+        try {
+            actual = await poller.writeControl(key, value);
+        } catch (err) {
+            Logger.error(`[${poller.identifier}] Failed to write to register ${register}`, err);
+            return { result: CommandHandler.createResult(key, requested, undefined, err.message) };
+        }
+
+        if (actual === value) {
+            Logger.info(`[${poller.identifier}] Successfully wrote ${value} to register ${register}`);
+        } else {
+            Logger.warn(`[${poller.identifier}] Wrote ${value} to register ${register} but read back ${actual}`);
+        }
+
+        return {
+            result: CommandHandler.createResult(
+                key,
+                requested,
+                poller.constructor.formatValue(key, actual) ?? requested,
+                actual === value ? undefined : `Read back ${actual} instead of ${value}`
+            ),
+            state: actual
+        };
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} control
+     * @param {string} payload JSON object with the fields of the slot to change
+     * @returns {Promise<{result: object, state?: *}>}
+     */
+    async writeSchedule(key, control, payload) {
+        const poller = this.poller;
+        let changes;
+
+        try {
+            changes = JSON.parse(payload);
+        } catch (e) {
+            return this.reject(key, payload, `Invalid JSON for ${key}: ${e.message}`);
+        }
+
+        const rateError = poller.commandGuard.acquireWrite();
+        if (rateError) {
+            return this.reject(key, changes, rateError);
+        }
+
+        let actual;
+        try {
+            actual = await poller.writeSchedule(control.register, changes);
+        } catch (err) {
+            Logger.error(`[${poller.identifier}] Failed to update ${key}:`, err.message);
+            return { result: CommandHandler.createResult(key, changes, undefined, err.message) };
+        }
+
+        const success = Object.keys(changes).every(k => JSON.stringify(actual[k]) === JSON.stringify(changes[k]));
+
+        return {
+            result: CommandHandler.createResult(key, changes, actual, success ? undefined : "Read-back does not match the requested schedule"),
+            state: actual
+        };
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} requested
+     * @param {string} error
+     * @returns {{result: object}}
+     */
+    reject(key, requested, error) {
+        Logger.warn(error);
+
+        return { result: CommandHandler.createResult(key, requested, undefined, error) };
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} requested
+     * @param {*} actual
+     * @param {string} [error] set if the command failed
+     * @returns {object}
+     */
+    static createResult(key, requested, actual, error) {
+        const result = {
+            key: key,
+            requested: requested,
+            actual: actual ?? null,
+            success: error === undefined,
+            timestamp: new Date().toISOString()
+        };
+
+        if (error !== undefined) {
+            result.error = error;
+        }
+
+        return result;
+    }
+}
+
+module.exports = CommandHandler;
@@ -0,0 +1,443 @@
+const fs = require("fs");
+const CommandGuard = require("./CommandGuard");
+const Logger = require("./Logger");
+const MqttClient = require("./MqttClient");
+const Poller = require("./Poller");
+
+/**
+ * Loads the JSON file referenced by CONFIG_FILE, applies the environment variables listed in Config.ENV on top
+ * and validates the result against Config.SCHEMA. Every problem found is reported at once at startup
+ * instead of being replaced by a default.
+ *
+ * If the file doesn't list any devices, a single one is taken from the legacy POLL_IP/POLL_PORT/SLAVE_ID/...
+ * variables in Config.DEVICE_ENV.
+ */
+class Config {
+    /**
+     * @param {Object<string, string>} [env]
+     * @param {object} [options]
+     * @param {boolean} [options.bridge] whether everything the bridge needs has to be configured, e.g. devices.
+     *   Tools like history.js only need parts of it
+     * @returns {object} the configuration in the format of Config.SCHEMA
+     * @throws {Error} listing every problem, one per line
+     */
+    static load(env = process.env, options = {}) {
+        const errors = [];
+        // Environment variables by the path of the setting they were applied to, to name them in errors
+        const sources = new Map();
+        let config = {};
+
+        if (env.CONFIG_FILE) {
+            try {
+                config = JSON.parse(fs.readFileSync(env.CONFIG_FILE, "utf8"));
+            } catch (e) {
+                throw new Error(`Failed to read ${env.CONFIG_FILE}: ${e.message}`);
+            }
+        }
+
+        Config.applyEnv(config, "", Config.ENV, env, sources, errors);
+
+        if (config.devices === undefined && (env.POLL_IP || env.POLL_SERIAL_PORT)) {
+            const device = { identifier: "One" };
+
+            Config.applyEnv(device, "devices[0].", Config.DEVICE_ENV, env, sources, errors);
+            device.transport = device.transport ?? (device.host ? "tcp" : "rtu");
+            config.devices = [device];
+        }
+
+        Config.validate(config, Config.SCHEMA, "", sources, errors);
+        if (errors.length === 0) {
+            Config.check(config, options.bridge ?? true, errors);
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join("\n"));
+        }
+
+        config.stateDirectory = config.stateDirectory ?? "state";
+        (config.devices ?? []).forEach(device => {
+            device.stateDirectory = device.stateDirectory ?? config.stateDirectory;
+        });
+
+        return config;
+    }
+
+    /**
+     * @param {object} target
+     * @param {string} prefix of the paths in target
+     * @param {Array<{name: string, path: string, type?: string}>} variables
+     * @param {Object<string, string>} env
+     * @param {Map<string, string>} sources
+     * @param {Array<string>} errors
+     */
+    static applyEnv(target, prefix, variables, env, sources, errors) {
+        variables.forEach(variable => {
+            const raw = env[variable.name];
+            if (raw === undefined || raw === "") {
+                return;
+            }
+
+            let value = raw;
+            if (variable.type === "number") {
+                value = Number(raw);
+
+                if (raw.trim() === "" || isNaN(value)) {
+                    errors.push(`${variable.name}: '${raw}' is not a number`);
+                    return;
+                }
+            } else if (variable.type === "boolean") {
+                if (raw !== "true" && raw !== "false") {
+                    errors.push(`${variable.name}: '${raw}' is neither true nor false`);
+                    return;
+                }
+                value = raw === "true";
+            }
+
+            const keys = variable.path.split(".");
+            let parent = target;
+            keys.slice(0, -1).forEach(key => {
+                // A non-object here is reported by the schema validation of the file
+                if (parent[key] === undefined) {
+                    parent[key] = {};
+                }
+                parent = parent[key];
+            });
+
+            if (parent !== null && typeof parent === "object") {
+                parent[keys[keys.length - 1]] = value;
+                sources.set(prefix + variable.path, variable.name);
+            }
+        });
+    }
+
+    /**
+     * @param {*} value
+     * @param {object} schema
+     * @param {string} path of the value, e.g. devices[0].interval
+     * @param {Map<string, string>} sources
+     * @param {Array<string>} errors
+     */
+    static validate(value, schema, path, sources, errors) {
+        const fail = message => {
+            errors.push(`${path}${sources.has(path) ? ` (${sources.get(path)})` : ""}: ${message}`);
+        };
+
+        switch (schema.type) {
+            case "object":
+                if (value === null || typeof value !== "object" || Array.isArray(value)) {
+                    return fail("expected an object");
+                }
+
+                Object.keys(value).forEach(key => {
+                    const child = path ? `${path}.${key}` : key;
+                    const childSchema = schema.properties ? schema.properties[key] : schema.values;
+
+                    if (childSchema) {
+                        Config.validate(value[key], childSchema, child, sources, errors);
+                    } else {
+                        errors.push(`${child}: unknown setting`);
+                    }
+                });
+                (schema.required ?? []).forEach(key => {
+                    if (value[key] === undefined) {
+                        errors.push(`${path ? `${path}.${key}` : key}: is required`);
+                    }
+                });
+                return;
+            case "array":
+                if (!Array.isArray(value)) {
+                    return fail("expected a list");
+                }
+                if (value.length < (schema.minItems ?? 0)) {
+                    return fail(`needs at least ${schema.minItems} entries`);
+                }
+
+                value.forEach((item, i) => Config.validate(item, schema.items, `${path}[${i}]`, sources, errors));
+                return;
+            case "integer":
+            case "number":
+                if (typeof value !== "number" || !Number.isFinite(value) || (schema.type === "integer" && !Number.isInteger(value))) {
+                    return fail(`expected ${schema.type === "integer" ? "an integer" : "a number"} but got ${JSON.stringify(value)}`);
+                }
+                if (schema.min !== undefined && value < schema.min) {
+                    return fail(`must be at least ${schema.min} but is ${value}`);
+                }
+                if (schema.max !== undefined && value > schema.max) {
+                    return fail(`must be at most ${schema.max} but is ${value}`);
+                }
+                break;
+            case "boolean":
+            case "string":
+                if (typeof value !== schema.type) {
+                    return fail(`expected a ${schema.type} but got ${JSON.stringify(value)}`);
+                }
+                if (schema.pattern && !schema.pattern.test(value)) {
+                    return fail(`${schema.message} but is '${value}'`);
+                }
+                break;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`expected one of ${schema.enum.join(", ")} but got ${JSON.stringify(value)}`);
+        }
+    }
+
+    /**
+     * Checks what spans several settings and can't be expressed in the schema
+     *
+     * @param {object} config valid according to the schema
+     * @param {boolean} bridge
+     * @param {Array<string>} errors
+     */
+    static check(config, bridge, errors) {
+        const mqtt = config.mqtt ?? {};
+        const devices = config.devices ?? [];
+
+        if (bridge) {
+            if (devices.length === 0) {
+                errors.push("devices: none configured. List them in CONFIG_FILE or set POLL_IP or POLL_SERIAL_PORT");
+            }
+            if (!mqtt.url && !(config.metrics && config.metrics.port !== undefined) && !(config.api && config.api.port !== undefined)) {
+                errors.push("Neither mqtt.url (MQTT_BROKER_URL) nor a metrics or API port is set");
+            }
+        }
+
+        ["ca", "cert", "key"].forEach(key => {
+            if (mqtt[key]) {
+                try {
+                    fs.accessSync(mqtt[key], fs.constants.R_OK);
+                } catch (e) {
+                    errors.push(`mqtt.${key}: cannot read ${mqtt[key]} (${e.code})`);
+                }
+            }
+        });
+        if (Boolean(mqtt.cert) !== Boolean(mqtt.key)) {
+            errors.push("mqtt: cert and key are only usable together");
+        }
+
+        const identifiers = new Set();
+        const serialPorts = new Set();
+        devices.forEach((device, i) => {
+            const path = `devices[${i}]`;
+            const transport = device.transport ?? "tcp";
+
+            if (identifiers.has(device.identifier)) {
+                errors.push(`${path}.identifier: '${device.identifier}' is used by more than one device`);
+            }
+            identifiers.add(device.identifier);
+
+            if (transport === "rtu") {
+                if (!device.serialPort) {
+                    errors.push(`${path}.serialPort: is required for the rtu transport`);
+                } else if (serialPorts.has(device.serialPort)) {
+                    // Each Poller opens the port on its own, which only one of them would succeed at
+                    errors.push(`${path}.serialPort: ${device.serialPort} is used by more than one device`);
+                }
+                serialPorts.add(device.serialPort);
+            } else if (!device.host) {
+                errors.push(`${path}.host: is required for the ${transport} transport`);
+            }
+
+            if (device.zeroExport && !mqtt.url) {
+                errors.push(`${path}.zeroExport: needs mqtt.url (MQTT_BROKER_URL) to be set`);
+            }
+        });
+    }
+}
+
+const string = { type: "string" };
+const boolean = { type: "boolean" };
+const number = { type: "number" };
+const port = { type: "integer", min: 0, max: 65535 };
+const duration = { type: "integer", min: 1 };
+const percent = { type: "number", min: 0, max: 100 };
+const topic = {
+    type: "string",
+    pattern: /^[^#+/]+(\/[^#+/]+)*$/,
+    message: "must be a topic without wildcards and without leading or trailing slashes"
+};
+
+const device = {
+    type: "object",
+    required: ["identifier"],
+    properties: {
+        identifier: { type: "string", pattern: /^[^/#+\s]+$/, message: "must not be empty or contain /, #, + or whitespace" },
+        transport: { type: "string", enum: Poller.TRANSPORTS },
+        host: string,
+        port: port,
+        serialPort: string,
+        baudRate: { type: "integer", min: 1 },
+        parity: { type: "string", enum: Poller.PARITIES },
+        dataBits: { type: "integer", min: 5, max: 8 },
+        stopBits: { type: "integer", min: 1, max: 2 },
+        timeout: duration,
+        slaveId: { type: "integer", min: 0, max: 255 },
+        maxReadGap: { type: "integer", min: 0 },
+        energyInOffset: number,
+        energyOutOffset: number,
+        energyAccumulators: { type: "string", enum: ["auto", "device", "computed"] },
+        stateDirectory: string,
+        safety: {
+            type: "object",
+            properties: {
+                dangerousCommands: { type: "string", enum: CommandGuard.DANGEROUS_COMMAND_MODES },
+                armTimeout: duration,
+                maxWrites: { type: "integer", min: 1 },
+                rateWindow: duration
+            }
+        },
+        analytics: {
+            type: "object",
+            properties: {
+                maxCellVoltageSpread: { type: "number", min: 0 },
+                maxSocDivergence: percent,
+                maxCellTemperature: number,
+                minCellTemperature: number,
+                minCapacityHealth: percent,
+                fullSoc: percent,
+                emptySoc: percent
+            }
+        },
+        proxy: {
+            type: "object",
+            required: ["port"],
+            properties: {
+                port: port,
+                host: string,
+                unitId: { type: "integer", min: 0, max: 255 },
+                maxAge: { type: "integer", min: 0 },
+                readOnly: boolean
+            }
+        },
+        zeroExport: {
+            type: "object",
+            required: ["gridTopic"],
+            properties: {
+                gridTopic: topic,
+                gridValuePath: string,
+                invertGrid: boolean,
+                setpoint: number,
+                deadband: { type: "number", min: 0 },
+                rampUp: { type: "number", min: 0 },
+                rampDown: { type: "number", min: 0 },
+                maxChargePower: { type: "number", min: 0 },
+                maxDischargePower: { type: "number", min: 0 },
+                minSoc: percent,
+                maxSoc: percent,
+                staleTimeout: duration,
+                enabled: boolean,
+                fastMode: boolean
+            }
+        }
+    }
+};
+Poller.INTERVAL_OPTIONS.forEach(key => {
+    device.properties[key] = duration;
+});
+
+Config.SCHEMA = {
+    type: "object",
+    properties: {
+        logLevel: { type: "string", enum: Object.keys(Logger.constructor.LogLevels) },
+        stateDirectory: string,
+        mqtt: {
+            type: "object",
+            properties: {
+                url: { type: "string", pattern: /^(mqtts?|wss?|tcp|ssl):\/\/./, message: "must be a URL like mqtt://host:1883 or mqtts://host:8883" },
+                username: string,
+                password: string,
+                ca: string,
+                cert: string,
+                key: string,
+                rejectUnauthorized: boolean,
+                topicPrefix: topic,
+                discoveryPrefix: topic
+            }
+        },
+        publishing: {
+            type: "object",
+            properties: {
+                mode: { type: "string", enum: MqttClient.PUBLISH_MODES },
+                retain: boolean,
+                heartbeatInterval: duration,
+                deadbands: { type: "object", values: { type: "number", min: 0 } }
+            }
+        },
+        metrics: {
+            type: "object",
+            properties: {
+                port: port,
+                host: string
+            }
+        },
+        api: {
+            type: "object",
+            properties: {
+                port: port,
+                host: string,
+                token: string
+            }
+        },
+        history: {
+            type: "object",
+            properties: {
+                enabled: boolean,
+                interval: { type: "integer", min: 0 },
+                retentionDays: { type: "number", min: 0 },
+                downsampleAfterDays: { type: "number", min: 0 },
+                downsampleInterval: duration
+            }
+        },
+        devices: { type: "array", minItems: 1, items: device }
+    }
+};
+
+// Take precedence over CONFIG_FILE
+Config.ENV = [
+    { name: "LOGLEVEL", path: "logLevel" },
+    { name: "STATE_DIR", path: "stateDirectory" },
+    { name: "MQTT_BROKER_URL", path: "mqtt.url" },
+    { name: "MQTT_USERNAME", path: "mqtt.username" },
+    { name: "MQTT_PASSWORD", path: "mqtt.password" },
+    { name: "MQTT_CA", path: "mqtt.ca" },
+    { name: "MQTT_CERT", path: "mqtt.cert" },
+    { name: "MQTT_KEY", path: "mqtt.key" },
+    { name: "MQTT_REJECT_UNAUTHORIZED", path: "mqtt.rejectUnauthorized", type: "boolean" },
+    { name: "MQTT_TOPIC_PREFIX", path: "mqtt.topicPrefix" },
+    { name: "MQTT_DISCOVERY_PREFIX", path: "mqtt.discoveryPrefix" },
+    { name: "PUBLISH_MODE", path: "publishing.mode" },
+    { name: "PUBLISH_RETAIN", path: "publishing.retain", type: "boolean" },
+    { name: "PUBLISH_HEARTBEAT_INTERVAL", path: "publishing.heartbeatInterval", type: "number" },
+    { name: "METRICS_PORT", path: "metrics.port", type: "number" },
+    { name: "METRICS_HOST", path: "metrics.host" },
+    { name: "API_PORT", path: "api.port", type: "number" },
+    { name: "API_HOST", path: "api.host" },
+    { name: "API_TOKEN", path: "api.token" },
+    { name: "HISTORY_ENABLED", path: "history.enabled", type: "boolean" },
+    { name: "HISTORY_INTERVAL", path: "history.interval", type: "number" },
+    { name: "HISTORY_RETENTION_DAYS", path: "history.retentionDays", type: "number" }
+];
+
+// Only used if CONFIG_FILE doesn't list any devices
+Config.DEVICE_ENV = [
+    { name: "IDENTIFIER", path: "identifier" },
+    { name: "POLL_TRANSPORT", path: "transport" },
+    { name: "POLL_IP", path: "host" },
+    { name: "POLL_PORT", path: "port", type: "number" },
+    { name: "POLL_SERIAL_PORT", path: "serialPort" },
+    { name: "POLL_BAUD_RATE", path: "baudRate", type: "number" },
+    { name: "POLL_PARITY", path: "parity" },
+    { name: "POLL_STOP_BITS", path: "stopBits", type: "number" },
+    { name: "SLAVE_ID", path: "slaveId", type: "number" },
+    { name: "POLL_INTERVAL", path: "interval", type: "number" },
+    { name: "POLL_SLOW_INTERVAL", path: "slowInterval", type: "number" },
+    { name: "POLL_STATIC_INTERVAL", path: "staticInterval", type: "number" },
+    { name: "POLL_FAST_MODE_INTERVAL", path: "fastModeInterval", type: "number" },
+    { name: "ENERGY_IN_OFFSET", path: "energyInOffset", type: "number" },
+    { name: "ENERGY_OUT_OFFSET", path: "energyOutOffset", type: "number" },
+    { name: "ENERGY_ACCUMULATORS", path: "energyAccumulators" },
+    { name: "PROXY_PORT", path: "proxy.port", type: "number" },
+    { name: "PROXY_READ_ONLY", path: "proxy.readOnly", type: "boolean" }
+];
+
+module.exports = Config;
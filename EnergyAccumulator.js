@@ -0,0 +1,79 @@
+const LocalDay = require("./LocalDay");
+const StateFile = require("./StateFile");
+
+/**
+ * Derives daily and monthly energy totals from the lifetime counters for firmwares
+ * that don't provide them in 33004 - 33011.
+ *
+ * The counter values at the start of the current day and month are persisted
+ * so that a restart doesn't reset the running periods.
+ */
+class EnergyAccumulator {
+    /**
+     * @param {object} options
+     * @param {string} options.statePath JSON file the period start values are stored in
+     */
+    constructor(options) {
+        this.statePath = options.statePath;
+        this.state = this.load();
+    }
+
+    /**
+     * @param {number} totalIn lifetime charged energy in kWh
+     * @param {number} totalOut lifetime discharged energy in kWh
+     * @param {Date} [now]
+     * @returns {{daily_energy_in: number, daily_energy_out: number, monthly_energy_in: number, monthly_energy_out: number}|{}}
+     *   nothing until both counters have a value, e.g. while their first reads were rejected as implausible
+     */
+    update(totalIn, totalOut, now = new Date()) {
+        if (!Number.isFinite(totalIn) || !Number.isFinite(totalOut)) {
+            return {};
+        }
+
+        const day = LocalDay.format(now);
+        const month = day.slice(0, 7);
+        const current = { in: totalIn, out: totalOut };
+        let dirty = false;
+
+        if (this.state.day !== day || isReset(this.state.dayStart, current)) {
+            this.state.day = day;
+            this.state.dayStart = current;
+            dirty = true;
+        }
+
+        if (this.state.month !== month || isReset(this.state.monthStart, current)) {
+            this.state.month = month;
+            this.state.monthStart = current;
+            dirty = true;
+        }
+
+        if (dirty) {
+            this.save();
+        }
+
+        return {
+            daily_energy_in: totalIn - this.state.dayStart.in,
+            daily_energy_out: totalOut - this.state.dayStart.out,
+            monthly_energy_in: totalIn - this.state.monthStart.in,
+            monthly_energy_out: totalOut - this.state.monthStart.out
+        };
+    }
+
+    load() {
+        return StateFile.load(this.statePath, { day: null, month: null, dayStart: null, monthStart: null }, "energy accumulator state");
+    }
+
+    save() {
+        StateFile.save(this.statePath, this.state, "energy accumulator state");
+    }
+}
+
+/**
+ * A lifetime counter going backwards means it was reset (or the offsets changed),
+ * in which case the period has to start over to not report negative values
+ */
+function isReset(start, current) {
+    return !start || current.in < start.in || current.out < start.out;
+}
+
+module.exports = EnergyAccumulator;
@@ -0,0 +1,63 @@
+const RegisterMap = require("./RegisterMap");
+const StateFile = require("./StateFile");
+
+/**
+ * Keeps track of what a device is made of, so that only entities of hardware that is actually there are announced.
+ *
+ * The number of battery modules is reported by the device itself. An MPPT input counts as present once it has
+ * reported a voltage, which one without panels never does. As inputs with panels don't either at night,
+ * they are persisted so that a restart doesn't drop them until sunrise. A different model forgets them.
+ */
+class HardwareDetector {
+    /**
+     * @param {object} options
+     * @param {string} options.statePath JSON file the detected hardware is stored in
+     */
+    constructor(options) {
+        this.statePath = options.statePath;
+        this.hardware = this.load();
+    }
+
+    /**
+     * @param {string|null} model device name as read from the device info, null if unknown
+     * @param {number} moduleCount as reported by the device
+     * @param {object} data as polled
+     * @returns {boolean} whether the hardware changed
+     */
+    update(model, moduleCount, data) {
+        const hardware = {
+            model: model ?? this.hardware.model,
+            modules: Math.min(moduleCount, RegisterMap.MAX_MODULES),
+            mppts: this.hardware.mppts.slice()
+        };
+
+        if (this.hardware.model !== null && hardware.model !== this.hardware.model) {
+            hardware.mppts = [];
+        }
+        for (let i = 1; i <= RegisterMap.MPPT_COUNT; i++) {
+            if (!hardware.mppts.includes(i) && data[`mppt${i}_voltage`] > 0) {
+                hardware.mppts.push(i);
+            }
+        }
+        hardware.mppts.sort((a, b) => a - b);
+
+        if (JSON.stringify(hardware) === JSON.stringify(this.hardware)) {
+            return false;
+        }
+
+        this.hardware = hardware;
+        this.save();
+
+        return true;
+    }
+
+    load() {
+        return StateFile.load(this.statePath, { model: null, modules: 0, mppts: [] }, "detected hardware");
+    }
+
+    save() {
+        StateFile.save(this.statePath, this.hardware, "detected hardware");
+    }
+}
+
+module.exports = HardwareDetector;
@@ -0,0 +1,258 @@
+const fs = require("fs");
+const path = require("path");
+const LocalDay = require("./LocalDay");
+const Logger = require("./Logger");
+const RegisterMap = require("./RegisterMap");
+
+/**
+ * Rolling local history of the data emitted by a Poller.
+ *
+ * Snapshots are appended as JSON lines to one file per local day, see LocalDay. Once a day is older than
+ * downsampleAfterDays, its file is replaced by one with a single record per downsampleInterval: measurements
+ * are averaged, everything else, e.g. counters and modes, keeps the last value of the interval.
+ * Days older than retentionDays are deleted.
+ */
+class HistoryStore {
+    /**
+     * @param {object} options
+     * @param {string} options.directory where the day files are stored
+     * @param {number} [options.interval] ms that have to pass before the next snapshot is stored, 0 stores every poll
+     * @param {number} [options.retentionDays]
+     * @param {number} [options.downsampleAfterDays]
+     * @param {number} [options.downsampleInterval] ms
+     */
+    constructor(options) {
+        this.directory = options.directory;
+        this.interval = options.interval ?? 0;
+        this.retentionDays = options.retentionDays ?? 7;
+        this.downsampleAfterDays = options.downsampleAfterDays ?? 1;
+        this.downsampleInterval = options.downsampleInterval ?? 5 * 60 * 1000;
+
+        this.lastAppend = 0;
+        this.currentDay = null;
+    }
+
+    /**
+     * @param {object} data as emitted by the Poller
+     * @param {Date} [now]
+     */
+    append(data, now = new Date()) {
+        if (now.getTime() - this.lastAppend < this.interval) {
+            return;
+        }
+
+        const day = LocalDay.format(now);
+        if (day !== this.currentDay) {
+            this.currentDay = day;
+            this.maintain(now);
+        }
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.appendFileSync(this.getPath(day), JSON.stringify({ timestamp: now.toISOString(), data: data }) + "\n");
+            this.lastAppend = now.getTime();
+        } catch (e) {
+            Logger.warn(`Failed to append to the history in ${this.directory}`, e.message);
+        }
+    }
+
+    /**
+     * Yields the stored records in chronological order, reading one day at a time
+     *
+     * @param {Date} [from]
+     * @param {Date} [to]
+     * @returns {Generator<{timestamp: string, data: object}>}
+     */
+    *read(from, to) {
+        const fromDay = from ? LocalDay.format(from) : "";
+        const toDay = to ? LocalDay.format(to) : "9999-99-99";
+
+        for (const day of this.getDays()) {
+            if (day < fromDay || day > toDay) {
+                continue;
+            }
+
+            for (const record of this.readDay(day)) {
+                const time = Date.parse(record.timestamp);
+
+                if ((!from || time >= from.getTime()) && (!to || time <= to.getTime())) {
+                    yield record;
+                }
+            }
+        }
+    }
+
+    /**
+     * Deletes expired days and downsamples those older than downsampleAfterDays
+     *
+     * @param {Date} [now]
+     */
+    maintain(now = new Date()) {
+        const expiredBefore = LocalDay.format(new Date(now.getTime() - this.retentionDays * DAY));
+        const downsampleBefore = LocalDay.format(new Date(now.getTime() - this.downsampleAfterDays * DAY));
+
+        this.getDays().forEach(day => {
+            try {
+                if (day < expiredBefore) {
+                    fs.rmSync(this.getPath(day), { force: true });
+                    fs.rmSync(this.getPath(day, true), { force: true });
+                } else if (day < downsampleBefore && fs.existsSync(this.getPath(day))) {
+                    this.downsampleDay(day);
+                }
+            } catch (e) {
+                Logger.warn(`Failed to maintain the history of ${day} in ${this.directory}`, e.message);
+            }
+        });
+    }
+
+    /**
+     * @param {string} day
+     */
+    downsampleDay(day) {
+        const buckets = new Map();
+
+        this.readDay(day).forEach(record => {
+            const bucket = Math.floor(Date.parse(record.timestamp) / this.downsampleInterval);
+
+            if (!buckets.has(bucket)) {
+                buckets.set(bucket, []);
+            }
+            buckets.get(bucket).push(record);
+        });
+
+        const lines = [...buckets.values()].map(records => JSON.stringify(HistoryStore.aggregate(records)) + "\n");
+        const target = this.getPath(day, true);
+
+        // Written next to the raw file first, so that an interrupted downsampling doesn't lose the day
+        fs.writeFileSync(`${target}.tmp`, lines.join(""));
+        fs.renameSync(`${target}.tmp`, target);
+        fs.rmSync(this.getPath(day));
+    }
+
+    /**
+     * @param {string} day
+     * @returns {Array<{timestamp: string, data: object}>} the records of both the raw and the downsampled file
+     */
+    readDay(day) {
+        const records = [];
+
+        [this.getPath(day, true), this.getPath(day)].forEach(file => {
+            let content;
+            try {
+                content = fs.readFileSync(file, "utf8");
+            } catch (e) {
+                if (e.code !== "ENOENT") {
+                    Logger.warn(`Failed to read history from ${file}`, e.message);
+                }
+                return;
+            }
+
+            content.split("\n").forEach(line => {
+                if (line.trim() === "") {
+                    return;
+                }
+
+                try {
+                    records.push(JSON.parse(line));
+                } catch (e) {
+                    // A line cut short by a crash while appending
+                    Logger.debug(`Skipping malformed history line in ${file}`);
+                }
+            });
+        });
+
+        return records.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    }
+
+    /**
+     * @returns {Array<string>} the stored days in ascending order
+     */
+    getDays() {
+        let files;
+        try {
+            files = fs.readdirSync(this.directory);
+        } catch (e) {
+            return [];
+        }
+
+        const days = new Set();
+        files.forEach(file => {
+            const match = file.match(/^(\d{4}-\d{2}-\d{2})(\.downsampled)?\.jsonl$/);
+
+            if (match) {
+                days.add(match[1]);
+            }
+        });
+
+        return [...days].sort();
+    }
+
+    /**
+     * @param {string} day
+     * @param {boolean} [downsampled]
+     * @returns {string}
+     */
+    getPath(day, downsampled = false) {
+        return path.join(this.directory, `${day}${downsampled ? ".downsampled" : ""}.jsonl`);
+    }
+
+    /**
+     * @param {Array<{timestamp: string, data: object}>} records of one downsampleInterval, in chronological order
+     * @returns {{timestamp: string, data: object}} a single record with the timestamp of the first one
+     */
+    static aggregate(records) {
+        const data = {};
+        const sums = {};
+
+        records.forEach(record => {
+            Object.entries(record.data).forEach(([key, value]) => {
+                const field = FIELDS.get(key);
+                const measurement = field && field.ha && field.ha.state_class === "measurement";
+
+                if (typeof value === "number" && measurement) {
+                    sums[key] = sums[key] ?? { sum: 0, count: 0 };
+                    sums[key].sum += value;
+                    sums[key].count++;
+                }
+
+                data[key] = value;
+            });
+        });
+
+        Object.entries(sums).forEach(([key, { sum, count }]) => {
+            data[key] = Math.round(sum / count * 1000) / 1000;
+        });
+
+        return { timestamp: records[0].timestamp, data: data };
+    }
+
+    /**
+     * @param {Iterable<{timestamp: string, data: object}>} records
+     * @param {Array<string>} keys columns after the timestamp
+     * @returns {Generator<string>} the CSV lines including the header
+     */
+    static *toCsv(records, keys) {
+        yield ["timestamp", ...keys].join(",") + "\n";
+
+        for (const record of records) {
+            const values = keys.map(key => {
+                const value = record.data[key];
+
+                if (value === undefined || value === null) {
+                    return "";
+                }
+
+                const str = typeof value === "object" ? JSON.stringify(value) : `${value}`;
+                return /[",\n]/.test(str) ? `"${str.replace(/"/g, "\"\"")}"` : str;
+            });
+
+            yield [record.timestamp, ...values].join(",") + "\n";
+        }
+    }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const FIELDS = new Map(RegisterMap.FIELDS.map(field => [field.key, field]));
+
+module.exports = HistoryStore;
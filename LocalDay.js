@@ -0,0 +1,30 @@
+/**
+ * Calendar days in local time, which the daily energy and the history files are split by
+ */
+class LocalDay {
+    /**
+     * @param {Date} date
+     * @returns {string} the local date as YYYY-MM-DD
+     */
+    static format(date) {
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, "0"),
+            String(date.getDate()).padStart(2, "0")
+        ].join("-");
+    }
+
+    /**
+     * Unlike Date.parse, which takes a date without a time as UTC
+     *
+     * @param {string} day as YYYY-MM-DD
+     * @returns {Date|null} local midnight of the day, null if it isn't formatted like one
+     */
+    static parse(day) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day);
+
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+}
+
+module.exports = LocalDay;
@@ -0,0 +1,222 @@
+const http = require("http");
+const Logger = require("./Logger");
+const RegisterMap = require("./RegisterMap");
+
+/**
+ * Serves the latest data of every Poller in the Prometheus text format on /metrics.
+ *
+ * Values are named after their RegisterMap field or its metric property and carry the device identifier
+ * as a label. total_increasing fields become counters, everything else is a gauge. Strings are not exported.
+ * Data is dropped while a device is unreachable so that Prometheus doesn't keep scraping stale values.
+ */
+class MetricsServer {
+    /**
+     * @param {Array<import("./Poller")>} pollers
+     * @param {object} options
+     * @param {number} options.port
+     * @param {string} [options.host]
+     * @param {import("./MqttClient")} [mqttClient] exports its publish count if the bridge is connected to a broker
+     */
+    constructor(pollers, options, mqttClient) {
+        this.pollers = pollers;
+        this.port = options.port;
+        this.host = options.host ?? "0.0.0.0";
+        this.mqttClient = mqttClient;
+
+        this.data = {};
+        this.diagnostics = {};
+
+        pollers.forEach(poller => {
+            poller.onData((data) => {
+                const merged = Object.assign({}, this.data[poller.identifier], data);
+                this.data[poller.identifier] = RegisterMap.prune(merged, poller.getHardware());
+            });
+            poller.onAvailability(() => {
+                if (!poller.connected) {
+                    delete this.data[poller.identifier];
+                }
+            });
+            poller.onDiagnostics((diagnostics) => {
+                this.diagnostics[poller.identifier] = diagnostics;
+            });
+        });
+
+        this.server = http.createServer((req, res) => {
+            if (req.method === "GET" && req.url.split("?")[0] === "/metrics") {
+                res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+                res.end(this.render());
+            } else {
+                res.writeHead(404, { "Content-Type": "text/plain" });
+                res.end("Not found\n");
+            }
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    initialize() {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off("error", reject);
+                Logger.info(`Serving metrics on http://${this.host}:${this.server.address().port}/metrics`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * @returns {string} all metrics in the Prometheus text exposition format
+     */
+    render() {
+        const metrics = new Map();
+        const add = (name, type, help, labels, value) => {
+            if (!metrics.has(name)) {
+                metrics.set(name, { type: type, help: help, samples: [] });
+            }
+
+            metrics.get(name).samples.push({ labels: labels, value: value });
+        };
+
+        this.pollers.forEach(poller => {
+            const device = { device: poller.identifier };
+            const data = this.data[poller.identifier] ?? {};
+            const diagnostics = this.diagnostics[poller.identifier];
+
+            Object.keys(data).forEach(key => {
+                const field = FIELDS.get(key);
+                const value = MetricsServer.toNumber(data[key]);
+
+                if (field && value !== null) {
+                    const metric = field.metric ?? {};
+                    const counter = MetricsServer.isCounter(field);
+                    const name = MetricsServer.getMetricName(field);
+
+                    add(
+                        name,
+                        counter ? "counter" : "gauge",
+                        metric.help ?? (field.ha ? field.ha.name : key),
+                        Object.assign({}, device, metric.labels),
+                        value
+                    );
+                }
+            });
+
+            add("marstek2mqtt_modbus_up", "gauge", "Whether the Modbus connection to the device is up", device, poller.connected ? 1 : 0);
+
+            if (diagnostics) {
+                if (diagnostics.poll_duration !== null) {
+                    add("marstek2mqtt_poll_duration_seconds", "gauge", "Duration of the last successful poll", device, diagnostics.poll_duration / 1000);
+                }
+                if (diagnostics.last_poll !== null) {
+                    add("marstek2mqtt_last_poll_timestamp_seconds", "gauge", "Time of the last successful poll", device, Date.parse(diagnostics.last_poll) / 1000);
+                }
+                add("marstek2mqtt_consecutive_poll_failures", "gauge", "Polls that failed since the last successful one", device, diagnostics.consecutive_failures);
+                add("marstek2mqtt_modbus_reconnects_total", "counter", "Reconnects to the device", device, diagnostics.reconnects);
+                add("marstek2mqtt_modbus_errors_total", "counter", "Failed Modbus requests", device, diagnostics.modbus_errors);
+            }
+
+            Object.entries(poller.plausibilityFilter.rejections).forEach(([key, count]) => {
+                add("marstek2mqtt_rejected_samples_total", "counter", "Implausible values that were dropped", Object.assign({}, device, { field: key }), count);
+            });
+        });
+
+        if (this.mqttClient) {
+            const connected = this.mqttClient.client !== undefined && this.mqttClient.client.connected;
+
+            add("marstek2mqtt_mqtt_connected", "gauge", "Whether the bridge is connected to the MQTT broker", {}, connected ? 1 : 0);
+            add("marstek2mqtt_mqtt_messages_published_total", "counter", "Messages published to the MQTT broker", {}, this.mqttClient.publishCount);
+        }
+
+        const lines = [];
+        metrics.forEach((metric, name) => {
+            lines.push(`# HELP ${name} ${metric.help}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+            metric.samples.forEach(sample => {
+                lines.push(`${name}${MetricsServer.formatLabels(sample.labels)} ${sample.value}`);
+            });
+        });
+
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * @param {object} field RegisterMap field
+     * @returns {string} e.g. marstek_cell_voltage_volts or marstek_energy_in_kilowatt_hours_total
+     */
+    static getMetricName(field) {
+        const parts = [MetricsServer.PREFIX, field.metric ? field.metric.name : field.key];
+
+        if (MetricsServer.UNITS[field.unit]) {
+            parts.push(MetricsServer.UNITS[field.unit]);
+        }
+        if (MetricsServer.isCounter(field)) {
+            parts.push("total");
+        }
+
+        return parts.join("_");
+    }
+
+    /**
+     * @param {object} field
+     * @returns {boolean}
+     */
+    static isCounter(field) {
+        return field.ha !== undefined && field.ha.state_class === "total_increasing";
+    }
+
+    /**
+     * @param {*} value
+     * @returns {number|null} null if the value can't be exported
+     */
+    static toNumber(value) {
+        if (typeof value === "number") {
+            return Number.isFinite(value) ? value : null;
+        }
+        if (value === "ON" || value === "OFF") {
+            return value === "ON" ? 1 : 0;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {object} labels
+     * @returns {string}
+     */
+    static formatLabels(labels) {
+        const pairs = Object.keys(labels).map(name => {
+            const value = String(labels[name]).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+
+            return `${name}="${value}"`;
+        });
+
+        return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+    }
+}
+
+const FIELDS = new Map(RegisterMap.FIELDS.map(field => [field.key, field]));
+
+MetricsServer.PREFIX = "marstek";
+
+MetricsServer.UNITS = Object.freeze({
+    "W": "watts",
+    "V": "volts",
+    "A": "amperes",
+    "kWh": "kilowatt_hours",
+    "°C": "celsius",
+    "%": "percent",
+    "Hz": "hertz",
+    "dBm": "dbm",
+    "ms": "milliseconds"
+});
+
+module.exports = MetricsServer;
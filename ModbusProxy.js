@@ -0,0 +1,242 @@
+const ModbusRTU = require("modbus-serial");
+const Logger = require("./Logger");
+const RegisterMap = require("./RegisterMap");
+
+/**
+ * Modbus TCP server for other masters (e.g. evcc or a vendor EMS) that would otherwise open
+ * connections of their own to a device that handles concurrent clients badly.
+ *
+ * Requests are passed through the single connection of the Poller and queued with its own polling.
+ * Reads of registers that the Poller has read within maxAge are answered from its cache without touching the device.
+ * Writes are passed through unless the proxy is readOnly. Any write to the device, also those for MQTT or the API,
+ * invalidates the cached registers it touched.
+ * They are subject to the same CommandGuard as commands over MQTT: values of controls are validated,
+ * writes count towards the rate limit and dangerous controls, which would need to be armed, can't be written at all.
+ * Registers that aren't controls are passed through as they are.
+ */
+class ModbusProxy {
+    /**
+     * @param {import("./Poller")} poller
+     * @param {object} options
+     * @param {number} options.port
+     * @param {string} [options.host]
+     * @param {number} [options.unitId] unit ID to answer to, 255 answers any
+     * @param {number} [options.maxAge] ms a cached register is served for. Defaults to the poll interval
+     * @param {boolean} [options.readOnly] answer writes with an exception instead of passing them on
+     */
+    constructor(poller, options) {
+        this.poller = poller;
+        this.port = options.port;
+        this.host = options.host ?? "0.0.0.0";
+        this.unitId = options.unitId ?? 255;
+        this.maxAge = options.maxAge ?? poller.interval;
+        this.readOnly = options.readOnly ?? false;
+
+        // Raw register values by address
+        this.cache = new Map();
+        this.stats = { cached: 0, forwarded: 0, failed: 0 };
+
+        poller.onRegisters((start, buffer) => {
+            const now = Date.now();
+
+            for (let i = 0; i < buffer.length / 2; i++) {
+                this.cache.set(start + i, { value: buffer.readUInt16BE(i * 2), timestamp: now });
+            }
+        });
+        poller.onWritten((start, values) => {
+            values.forEach((value, i) => this.cache.delete(start + i));
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        this.server = new ModbusRTU.ServerTCP({
+            getHoldingRegister: (address, unitId, callback) => {
+                this.read(address, 1).then(values => callback(null, values[0]), err => callback(err));
+            },
+            getMultipleHoldingRegisters: (address, length, unitId, callback) => {
+                this.read(address, length).then(values => callback(null, values), err => callback(err));
+            },
+            setRegister: (address, value, unitId, callback) => {
+                this.write(address, [value]).then(() => callback(null), err => callback(err));
+            },
+            setRegisterArray: (address, values, unitId, callback) => {
+                this.write(address, values).then(() => callback(null), err => callback(err));
+            }
+        }, { host: this.host, port: this.port, unitID: this.unitId });
+
+        this.server.on("socketError", (err) => {
+            Logger.warn(`[${this.poller.identifier}] Modbus proxy socket error`, err.message);
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once("initialized", resolve);
+            this.server.once("serverError", reject);
+        });
+
+        Logger.info(`[${this.poller.identifier}] Serving Modbus TCP on ${this.host}:${this.getPort()}${this.readOnly ? " (read-only)" : ""}`);
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * @returns {number} the port listened on, which differs from the configured one if that was 0
+     */
+    getPort() {
+        // modbus-serial doesn't expose the address of its net.Server
+        return this.server._server.address().port;
+    }
+
+    /**
+     * @param {number} start
+     * @param {number} length
+     * @returns {Promise<Array<number>>}
+     */
+    async read(start, length) {
+        const cached = this.getCached(start, length);
+
+        if (cached !== null) {
+            this.stats.cached++;
+            return cached;
+        }
+
+        try {
+            const buffer = await this.poller.readRegisters(start, length);
+            const values = [];
+
+            for (let i = 0; i < length; i++) {
+                values.push(buffer.readUInt16BE(i * 2));
+            }
+
+            this.stats.forwarded++;
+            return values;
+        } catch (err) {
+            throw this.toException(err, `read ${length} registers at ${start}`);
+        }
+    }
+
+    /**
+     * @param {number} start
+     * @param {Array<number>} values
+     * @returns {Promise<void>}
+     */
+    async write(start, values) {
+        if (this.readOnly) {
+            Logger.warn(`[${this.poller.identifier}] Modbus proxy rejected a write to ${start} as it is read-only`);
+            throw exception(0x01, "The proxy is read-only");
+        }
+
+        const error = this.checkWrite(start, values);
+        if (error !== null) {
+            Logger.warn(`[${this.poller.identifier}] Modbus proxy rejected a write of [${values.join(", ")}] to ${start}: ${error.message}`);
+            throw error;
+        }
+
+        Logger.info(`[${this.poller.identifier}] Modbus proxy client writes [${values.join(", ")}] to ${start}`);
+        values.forEach((value, i) => this.cache.delete(start + i));
+
+        try {
+            await this.poller.writeRegisters(start, values);
+            this.stats.forwarded++;
+        } catch (err) {
+            throw this.toException(err, `write to ${start}`);
+        }
+    }
+
+    /**
+     * @param {number} start
+     * @param {Array<number>} values
+     * @returns {Error|null} the exception to answer with if the CommandGuard doesn't allow the write
+     */
+    checkWrite(start, values) {
+        const guard = this.poller.commandGuard;
+        const controls = RegisterMap.FIELDS.filter(field => {
+            return field.control && field.address < start + values.length && field.address + field.length > start;
+        });
+
+        for (const field of controls) {
+            const control = field.control;
+            const offset = field.address - start;
+            const raw = values.slice(offset, offset + field.length);
+
+            if (control.dangerous) {
+                return exception(0x01, `${field.key} can't be written through the proxy`);
+            }
+            if (offset < 0 || raw.length < field.length) {
+                return exception(0x02, `${field.key} can only be written as a whole`);
+            }
+
+            const value = raw[0];
+            let error = null;
+            if (control.type === "number") {
+                error = guard.validateNumber(field.key, control, value);
+            } else if (control.type === "select" && control.map[value] === undefined) {
+                error = `Invalid value ${value} for ${field.key}`;
+            } else if (control.type === "switch" && value !== control.on && value !== control.off) {
+                error = `Invalid value ${value} for ${field.key}`;
+            }
+
+            if (error !== null) {
+                return exception(0x03, error);
+            }
+        }
+
+        const error = guard.acquireWrite();
+        return error !== null ? exception(0x06, error) : null;
+    }
+
+    /**
+     * @param {number} start
+     * @param {number} length
+     * @param {number} [now]
+     * @returns {Array<number>|null} the values if every register was read within maxAge
+     */
+    getCached(start, length, now = Date.now()) {
+        const values = [];
+
+        for (let address = start; address < start + length; address++) {
+            const entry = this.cache.get(address);
+
+            if (!entry || now - entry.timestamp > this.maxAge) {
+                return null;
+            }
+            values.push(entry.value);
+        }
+
+        return values;
+    }
+
+    /**
+     * @param {Error} err
+     * @param {string} action
+     * @returns {Error} the exception passed on to the client.
+     *   Exceptions of the device are passed on as they are, everything else means that the device didn't respond
+     */
+    toException(err, action) {
+        this.stats.failed++;
+        Logger.debug(`[${this.poller.identifier}] Modbus proxy failed to ${action}`, err.message);
+
+        return exception(err.modbusCode ?? ModbusProxy.GATEWAY_TARGET_FAILED, err.message);
+    }
+}
+
+/**
+ * @param {number} code
+ * @param {string} message
+ * @returns {Error} an error that modbus-serial answers with the Modbus exception code
+ */
+function exception(code, message) {
+    return Object.assign(new Error(message), { modbusErrorCode: code });
+}
+
+// Modbus exception 0x0B: Gateway Target Device Failed to Respond
+ModbusProxy.GATEWAY_TARGET_FAILED = 0x0B;
+
+module.exports = ModbusProxy;
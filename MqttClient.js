@@ -1,39 +1,146 @@
+const fs = require("fs");
 const Logger = require("./Logger");
 const mqtt = require("mqtt");
+const RegisterMap = require("./RegisterMap");
 
 class MqttClient {
     /**
-     * @param {import("./Poller")} poller
+     * @param {Array<import("./Poller")>} pollers
+     * @param {object} [options]
+     * @param {function(string, object): object} [options.connect] replacement for mqtt.connect, e.g. an in-process broker in tests
+     * @param {object} [options.mqtt]
+     * @param {string} [options.mqtt.url] e.g. mqtt://127.0.0.1 or mqtts://broker:8883
+     * @param {string} [options.mqtt.username]
+     * @param {string} [options.mqtt.password]
+     * @param {string} [options.mqtt.ca] path of the CA certificate to verify the broker with
+     * @param {string} [options.mqtt.cert] path of the client certificate
+     * @param {string} [options.mqtt.key] path of the key of the client certificate
+     * @param {boolean} [options.mqtt.rejectUnauthorized] whether to reject brokers whose certificate can't be verified
+     * @param {string} [options.mqtt.topicPrefix] prepended to every state and command topic
+     * @param {string} [options.mqtt.discoveryPrefix] of Home Assistant
+     * @param {object} [options.publishing]
+     * @param {"topics"|"json"} [options.publishing.mode] one topic per value or the whole snapshot as JSON on <ID>/state
+     * @param {boolean} [options.publishing.retain] whether states are published retained
+     * @param {number} [options.publishing.heartbeatInterval] ms after which unchanged values are published again
+     * @param {Object<string, number>} [options.publishing.deadbands] overrides of the deadbands in the RegisterMap by key
      */
-    constructor(poller) {
-        this.poller = poller;
-        this.identifier = process.env.IDENTIFIER || "One";
-        this.autoconfTimestamp = 0;
+    constructor(pollers, options = {}) {
+        const publishing = options.publishing ?? {};
+
+        this.connect = options.connect ?? mqtt.connect;
+        this.connection = Object.assign({}, options.mqtt);
+        this.topicPrefix = this.connection.topicPrefix ?? MqttClient.DEFAULT_TOPIC_PREFIX;
+        this.discoveryPrefix = this.connection.discoveryPrefix ?? MqttClient.DEFAULT_DISCOVERY_PREFIX;
+        this.mode = publishing.mode ?? "topics";
+        this.retain = publishing.retain ?? false;
+        this.heartbeatInterval = publishing.heartbeatInterval ?? 60 * 1000;
+        this.deadbands = {};
+        RegisterMap.FIELDS.forEach(field => {
+            if (field.deadband !== undefined) {
+                this.deadbands[field.key] = field.deadband;
+            }
+        });
+        Object.assign(this.deadbands, publishing.deadbands);
+
+        this.pollers = new Map();
+        this.autoconfTimestamps = {};
+        this.autoconfDevices = {};
+        this.discoveryTopics = {};
+        this.customEntities = {};
+        this.subscriptions = new Map();
+        this.lastPublished = {};
+        this.snapshots = {};
+        this.publishCount = 0;
+
+        pollers.forEach(poller => {
+            this.pollers.set(poller.identifier, poller);
+            this.autoconfTimestamps[poller.identifier] = 0;
+            this.discoveryTopics[poller.identifier] = new Set();
+            this.customEntities[poller.identifier] = {};
+            this.lastPublished[poller.identifier] = {};
+            this.snapshots[poller.identifier] = {};
+
+            poller.onData((data) => {
+                this.handleData(poller, data);
+            });
+            poller.onAvailability(() => {
+                this.publishAvailability(poller);
+            });
+            poller.onDiagnostics((diagnostics) => {
+                this.handleDiagnostics(poller, diagnostics);
+            });
+            poller.onProblem((event) => {
+                this.publishProblem(poller, event);
+            });
+            poller.onCommandResult((result, state) => {
+                this.handleCommandResult(poller, result, state);
+            });
+            poller.onHardware(() => {
+                this.autoconfTimestamps[poller.identifier] = 0;
+            });
 
-        this.poller.onData((data) => {
-            this.handleData(data);
+            this.addCustomEntity(poller.identifier, "fast_mode", {
+                handler: (value) => {
+                    this.handleFastMode(poller, value);
+                },
+                ha: { component: "switch", name: "Fast Polling", entity_category: "config", availability: "bridge" }
+            });
         });
     }
 
     initialize() {
         const options = {
-            clientId: `marstek2mqtt_${this.identifier}_${Math.random().toString(16).slice(2, 9)}`,
+            clientId: `marstek2mqtt_${Math.random().toString(16).slice(2, 9)}`,
+            will: {
+                topic: this.getBridgeAvailabilityTopic(),
+                payload: "offline",
+                qos: 1,
+                retain: true
+            }
         };
 
-        if (process.env.MQTT_USERNAME) {
-            options.username = process.env.MQTT_USERNAME;
-            options.password = process.env.MQTT_PASSWORD;
+        const connection = this.connection;
+        if (connection.username) {
+            options.username = connection.username;
+            options.password = connection.password;
+        }
+        // Read on every start, so that renewed certificates are picked up by restarting
+        ["ca", "cert", "key"].forEach(key => {
+            if (connection[key]) {
+                options[key] = fs.readFileSync(connection[key]);
+            }
+        });
+        if (connection.rejectUnauthorized !== undefined) {
+            options.rejectUnauthorized = connection.rejectUnauthorized;
         }
 
-        this.client = mqtt.connect(process.env.MQTT_BROKER_URL, options);
+        this.client = this.connect(connection.url, options);
 
         this.client.on("connect", () => {
             Logger.info("Connected to MQTT broker");
-            const commandTopic = `${MqttClient.TOPIC_PREFIX}/${this.identifier}/set/#`;
+            this.publish(this.getBridgeAvailabilityTopic(), "online", { qos: 1, retain: true });
+            this.pollers.forEach(poller => this.publishAvailability(poller));
+
+            const commandTopic = `${this.topicPrefix}/+/set/#`;
             this.client.subscribe(commandTopic, (err) => {
                 if(err) Logger.error("Failed to subscribe to commands", err);
                 else Logger.info(`Subscribed to commands: ${commandTopic}`);
             });
+
+            this.subscriptions.forEach((listeners, topic) => {
+                this.client.subscribe(topic, (err) => {
+                    if (err) Logger.error(`Failed to subscribe to ${topic}`, err);
+                });
+            });
+
+            // The retained configs tell which entities a previous run has announced
+            this.pollers.forEach((poller, identifier) => {
+                const discoveryTopic = `${this.discoveryPrefix}/+/marstek2mqtt_${identifier}/+/config`;
+
+                this.client.subscribe(discoveryTopic, (err) => {
+                    if (err) Logger.error(`Failed to subscribe to ${discoveryTopic}`, err);
+                });
+            });
         });
 
         this.client.on("error", (e) => {
@@ -41,124 +148,342 @@ class MqttClient {
         });
 
         this.client.on("message", (topic, message) => {
-            this.handleCommand(topic, message);
+            if (this.subscriptions.has(topic)) {
+                this.subscriptions.get(topic).forEach(listener => {
+                    try {
+                        listener(message);
+                    } catch (e) {
+                        Logger.error(`Error processing message on ${topic}`, e);
+                    }
+                });
+            } else if (topic.startsWith(`${this.discoveryPrefix}/`)) {
+                this.handleDiscoveryConfig(topic, message);
+            } else {
+                this.handleCommand(topic, message);
+            }
         });
     }
 
-    handleCommand(topic, message) {
-        try {
-            const parts = topic.split("/");
-            // Topic format: marstek2mqtt/<ID>/set/<key>
-            if (parts.length !== 4 || parts[2] !== "set") return;
+    /**
+     * Removes entities that are announced but no longer part of the device, e.g. after a battery module was removed
+     * or the bridge was updated. Entities announced by this run are left alone, as are already removed ones.
+     *
+     * @param {string} topic
+     * @param {Buffer} message
+     */
+    handleDiscoveryConfig(topic, message) {
+        const nodeId = topic.slice(this.discoveryPrefix.length + 1).split("/")[1];
+        const identifier = nodeId.slice("marstek2mqtt_".length);
 
-            const key = parts[3];
-            let value = message.toString();
-            const controls = this.poller.constructor.CONTROLS;
+        if (!this.pollers.has(identifier) || message.length === 0 || this.discoveryTopics[identifier].has(topic)) {
+            return;
+        }
 
-            Logger.info(`Received command for ${key}: ${value}`);
+        if (this.autoconfTimestamps[identifier] > 0) {
+            Logger.info(`[${identifier}] Removing stale entity ${topic}`);
+            this.publish(topic, "", { retain: true });
+        } else {
+            // Cleared by the first autoconf unless it turns out to still be part of the device
+            this.discoveryTopics[identifier].add(topic);
+        }
+    }
 
-            if (!controls[key]) {
-                Logger.warn(`Unknown control key: ${key}`);
-                return;
+    /**
+     * @param {string} topic
+     * @param {string} payload
+     * @param {object} [options]
+     */
+    publish(topic, payload, options = {}) {
+        this.publishCount++;
+        this.client.publish(topic, payload, options);
+    }
+
+    /**
+     * Subscribes to an arbitrary topic, e.g. the readings of an external meter.
+     * Subscriptions are renewed whenever the connection to the broker is (re-)established.
+     *
+     * @param {string} topic
+     * @param {function(Buffer): void} listener
+     */
+    subscribe(topic, listener) {
+        if (!this.subscriptions.has(topic)) {
+            this.subscriptions.set(topic, []);
+
+            if (this.client && this.client.connected) {
+                this.client.subscribe(topic, (err) => {
+                    if (err) Logger.error(`Failed to subscribe to ${topic}`, err);
+                });
             }
+        }
 
-            const control = controls[key];
+        this.subscriptions.get(topic).push(listener);
+    }
 
-            if (control.type === "select") {
-                const intVal = Object.keys(control.map).find(k => control.map[k] === value);
+    /**
+     * Registers an entity that isn't backed by a register, e.g. a switch to toggle a feature at runtime.
+     * Its state is published with publishState. It is announced to Home Assistant if ha metadata is provided.
+     *
+     * @param {string} identifier
+     * @param {string} key
+     * @param {object} options
+     * @param {function(string): void} [options.handler] called with the raw payload of commands
+     * @param {object} [options.ha] same format as in the RegisterMap
+     * @param {string} [options.unit]
+     */
+    addCustomEntity(identifier, key, options) {
+        this.customEntities[identifier][key] = options;
+        this.autoconfTimestamps[identifier] = 0;
+    }
 
-                if (intVal !== undefined) {
-                    this.writeToDevice(control.register, parseInt(intVal));
-                } else {
-                    Logger.warn(`Invalid option '${value}' for ${key}. Expected: ${Object.values(control.map).join(", ")}`);
-                }
-                return;
-            }
+    /**
+     * @param {string} identifier
+     * @param {string} key
+     * @param {*} value
+     */
+    publishState(identifier, key, value) {
+        if (this.client) {
+            this.publishChange(identifier, key, value, `${value}`);
+        }
+    }
 
-            if (control.type === "switch") {
-                if (value === "ON") {
-                    this.writeToDevice(control.register, control.on);
-                } else if (value === "OFF") {
-                    this.writeToDevice(control.register, control.off);
-                } else {
-                    Logger.warn(`Invalid value '${value}' for switch ${key}. Expected: ON, OFF`);
-                }
+    /**
+     * Published retained, so that Home Assistant knows whether the Modbus connection is up even after restarting
+     *
+     * @param {import("./Poller")} poller
+     */
+    publishAvailability(poller) {
+        if (this.client) {
+            this.publish(this.getAvailabilityTopic(poller.identifier), poller.connected ? "online" : "offline", { qos: 1, retain: true });
+        }
+    }
+
+    /**
+     * @returns {string} topic that is "online" while marstek2mqtt is connected to the broker and "offline" (LWT) otherwise
+     */
+    getBridgeAvailabilityTopic() {
+        return `${this.topicPrefix}/status`;
+    }
+
+    /**
+     * @param {string} identifier
+     * @returns {string} topic that follows the Modbus connection state of the device
+     */
+    getAvailabilityTopic(identifier) {
+        return `${this.topicPrefix}/${identifier}/availability`;
+    }
+
+    handleCommand(topic, message) {
+        try {
+            // Topic format: <prefix>/<ID>/set/<key>. The prefix may span several levels
+            if (!topic.startsWith(`${this.topicPrefix}/`)) return;
+
+            const parts = topic.slice(this.topicPrefix.length + 1).split("/");
+            if (parts.length !== 3 || parts[1] !== "set") return;
+
+            const poller = this.pollers.get(parts[0]);
+            if (!poller) {
+                Logger.warn(`Received command for unknown device: ${parts[0]}`);
                 return;
             }
 
-            if (control.type === "button") {
-                if (value === "PRESS") {
-                    this.writeToDevice(control.register, control.command);
-                } else {
-                    Logger.warn(`Invalid value '${value}' for button ${key}. Expected: PRESS`);
-                }
+            const key = parts[2];
+            const value = message.toString();
+
+            Logger.info(`[${poller.identifier}] Received command for ${key}: ${value}`);
+
+            const customEntity = this.customEntities[poller.identifier][key];
+            if (customEntity && customEntity.handler) {
+                customEntity.handler(value);
                 return;
             }
 
-            if (control.type === "number") {
-                const intVal = parseInt(value, 10);
-                if (isNaN(intVal)) {
-                    Logger.warn(`Invalid number '${value}' for ${key}`);
-                    return;
-                }
-
-                this.writeToDevice(control.register, intVal);
+            if (!poller.constructor.CONTROLS[key]) {
+                Logger.warn(`Unknown control key: ${key}`);
+                return;
             }
 
+            // The result is published by the onCommandResult listener, as for commands from any other interface
+            poller.executeCommand(key, value).catch(e => {
+                Logger.error("Error processing command", e);
+            });
         } catch (e) {
             Logger.error("Error processing command", e);
         }
     }
 
-    writeToDevice(register, value) {
-        this.poller.writeRegister(register, value)
-            .then(() => Logger.info(`Successfully wrote ${value} to register ${register}`))
-            .catch(err => Logger.error(`Failed to write to register ${register}`, err));
+    /**
+     * @param {import("./Poller")} poller
+     * @param {string} value ON, OFF or the duration in seconds
+     */
+    handleFastMode(poller, value) {
+        const seconds = Number(value);
+
+        if (value === "ON") {
+            poller.setFastMode();
+        } else if (value === "OFF") {
+            poller.setFastMode(0);
+        } else if (value.trim() !== "" && seconds >= 0) {
+            poller.setFastMode(seconds * 1000);
+        } else {
+            Logger.warn(`Invalid value '${value}' for fast_mode. Expected: ON, OFF or a duration in seconds`);
+            return;
+        }
+
+        this.publishState(poller.identifier, "fast_mode", poller.isFastMode() ? "ON" : "OFF");
+    }
+
+    /**
+     * @param {import("./Poller")} poller
+     * @param {object} event see BatteryAnalytics.checkProblems
+     */
+    publishProblem(poller, event) {
+        if (event.active) {
+            Logger.warn(`[${poller.identifier}] ${event.message} (${event.value})`);
+        } else {
+            Logger.info(`[${poller.identifier}] ${event.message} (${event.value})`);
+        }
+
+        if (this.client) {
+            this.publish(`${this.topicPrefix}/${poller.identifier}/event`, JSON.stringify(event));
+        }
     }
 
-    handleData(data) {
-        this.ensureAutoconf(this.identifier);
-        const baseTopic = `${MqttClient.TOPIC_PREFIX}/${this.identifier}`;
-        const controls = this.poller.constructor.CONTROLS;
-        const readOnly = this.poller.constructor.READ_ONLY_LOOKUPS;
+    /**
+     * Publishes the outcome of a command and the state read back after writing, regardless of deadband and heartbeat
+     *
+     * @param {import("./Poller")} poller
+     * @param {object} result see CommandHandler
+     * @param {*} [state] raw value read back
+     */
+    handleCommandResult(poller, result, state) {
+        if (!this.client) {
+            return;
+        }
 
-        Object.entries(data).forEach(([key, value]) => {
-            let payload = value;
+        if (state !== undefined) {
+            this.publishControlState(poller, result.key, state);
+        }
 
-            if (controls[key]) {
-                if (controls[key].type === "button") return;
+        this.publish(`${this.topicPrefix}/${poller.identifier}/command_result`, JSON.stringify(result));
+    }
 
-                if (controls[key].type === "select") {
-                    const map = controls[key].map;
-                    if (map[value] !== undefined) {
-                        payload = map[value];
-                    } else {
-                        Logger.warn(`Value ${value} for ${key} not found in control map`);
-                    }
-                } else if (controls[key].type === "switch") {
-                    if (value === controls[key].on) payload = "ON";
-                    else if (value === controls[key].off) payload = "OFF";
-                    else payload = "UNKNOWN";
-                }
-            } else if (readOnly[key]) {
-                const map = readOnly[key].map;
-                if (map[value] !== undefined) {
-                    payload = map[value];
-                } else {
-                    Logger.warn(`Value ${value} for ${key} not found in lookup map`);
-                }
-            }
+    handleData(poller, data) {
+        this.ensureAutoconf(poller);
 
-            this.client.publish(`${baseTopic}/${key}`, `${payload}`);
-        });
+        if (this.mode === "json") {
+            Object.entries(data).forEach(([key, value]) => {
+                this.updateSnapshot(poller, key, value);
+            });
+            this.publishSnapshot(poller);
+        } else {
+            Object.entries(data).forEach(([key, value]) => {
+                this.publishValue(poller, key, value);
+            });
+        }
+
+        // Ends on its own, which nothing else would tell
+        this.publishState(poller.identifier, "fast_mode", poller.isFastMode() ? "ON" : "OFF");
     }
 
-    ensureAutoconf(identifier) {
-        // Republish every 4 hours
-        if (Date.now() - this.autoconfTimestamp <= 4 * 60 * 60 * 1000) {
+    handleDiagnostics(poller, diagnostics) {
+        if (!this.client) {
             return;
         }
 
+        Object.entries(diagnostics).forEach(([key, value]) => {
+            if (value !== null) {
+                this.publishValue(poller, key, value);
+            }
+        });
+    }
+
+    publishValue(poller, key, value) {
+        const payload = this.formatValue(poller, key, value);
+
+        if (payload !== undefined) {
+            this.publishChange(poller.identifier, key, value, `${payload}`);
+        }
+    }
+
+    /**
+     * Publishes the state of a control right after it was written, regardless of deadband and heartbeat
+     *
+     * @param {import("./Poller")} poller
+     * @param {string} key
+     * @param {*} value
+     */
+    publishControlState(poller, key, value) {
+        if (this.mode === "json") {
+            this.updateSnapshot(poller, key, value);
+            this.publishSnapshot(poller);
+        } else {
+            const payload = this.formatValue(poller, key, value);
+
+            if (payload !== undefined) {
+                this.publishChange(poller.identifier, key, value, `${payload}`, true);
+            }
+        }
+    }
+
+    /**
+     * Publishes the payload unless the value is within the deadband of the last published one
+     * and the heartbeat isn't due yet
+     *
+     * @param {string} identifier
+     * @param {string} key
+     * @param {*} value used for the deadband comparison of numbers
+     * @param {string} payload
+     * @param {boolean} [force]
+     */
+    publishChange(identifier, key, value, payload, force = false) {
+        const last = this.lastPublished[identifier][key];
+        const now = Date.now();
+
+        if (!force && last !== undefined && now - last.timestamp < this.heartbeatInterval) {
+            const changed = typeof value === "number" && typeof last.value === "number" ?
+                Math.abs(value - last.value) > (this.deadbands[key] ?? 0) :
+                payload !== last.payload;
+
+            if (!changed) {
+                return;
+            }
+        }
+
+        this.lastPublished[identifier][key] = { value: value, payload: payload, timestamp: now };
+        this.publish(`${this.topicPrefix}/${identifier}/${key}`, payload, { retain: this.retain });
+    }
+
+    updateSnapshot(poller, key, value) {
+        const payload = this.formatValue(poller, key, value);
+        const control = poller.constructor.CONTROLS[key];
+
+        if (payload !== undefined) {
+            // Schedules are embedded as objects rather than as JSON strings
+            this.snapshots[poller.identifier][key] = control && control.type === "schedule" ? value : payload;
+        }
+    }
+
+    publishSnapshot(poller) {
+        this.publish(
+            `${this.topicPrefix}/${poller.identifier}/state`,
+            JSON.stringify(this.snapshots[poller.identifier]),
+            { retain: this.retain }
+        );
+    }
+
+    /**
+     * @param {import("./Poller")} poller
+     * @param {string} key
+     * @param {*} value as emitted by the Poller
+     * @returns {*} the state payload, undefined for keys that have no state
+     */
+    formatValue(poller, key, value) {
+        return poller.constructor.formatValue(key, value);
+    }
+
+    ensureAutoconf(poller) {
+        const identifier = poller.identifier;
+
         const device = {
             "manufacturer": "Marstek",
             "model": "Venus",
@@ -166,23 +491,61 @@ class MqttClient {
             "identifiers": [`marstek2mqtt_${identifier}`]
         };
 
+        const info = poller.deviceInfo;
+        if (info) {
+            if (info.device_name) {
+                device["model"] = info.device_name;
+            }
+            device["sw_version"] = `${info.ems_version}`;
+            device["hw_version"] = `VMS ${info.vms_version} / BMS ${info.bms_version}`;
+
+            if (info.mac_address) {
+                device["connections"] = [["mac", info.mac_address]];
+            }
+        }
+
+        // Republish every 4 hours or as soon as the device info has been read or changed
+        const deviceJson = JSON.stringify(device);
+        if (
+            Date.now() - this.autoconfTimestamps[identifier] <= 4 * 60 * 60 * 1000 &&
+            this.autoconfDevices[identifier] === deviceJson
+        ) {
+            return;
+        }
+
+        const announced = new Set();
         const makeConfig = (key, name, unit, devClass, stateClass, type = "sensor", options = {}) => {
-            const discoveryTopic = `homeassistant/${type}/marstek2mqtt_${identifier}/${key}/config`;
+            const discoveryTopic = `${this.discoveryPrefix}/${type}/marstek2mqtt_${identifier}/${key}/config`;
             const enabledByDefault = options.enabled_by_default !== false;
+            const inSnapshot = this.mode === "json" && options.snapshot === true;
 
             const payload = {
                 "name": name,
                 "unique_id": `marstek2mqtt_${identifier}_${key}`,
-                "state_topic": `${MqttClient.TOPIC_PREFIX}/${identifier}/${key}`,
+                "state_topic": `${this.topicPrefix}/${identifier}/${inSnapshot ? "state" : key}`,
                 "device": device,
-                "enabled_by_default": enabledByDefault
+                "enabled_by_default": enabledByDefault,
+                "availability": [{ "topic": this.getBridgeAvailabilityTopic() }],
+                "availability_mode": "all"
             };
 
+            if (options.availability !== "bridge") {
+                payload["availability"].push({ "topic": this.getAvailabilityTopic(identifier) });
+            }
+
             if (options.entity_category) {
                 payload["entity_category"] = options.entity_category;
             }
 
-            if (type === "sensor") {
+            if (inSnapshot) {
+                payload["value_template"] = options.value_template ?
+                    options.value_template.replace(/\bvalue_json\b/g, `value_json.${key}`) :
+                    `{{ value_json.${key} }}`;
+            } else if (options.value_template) {
+                payload["value_template"] = options.value_template;
+            }
+
+            if (type === "sensor" || type === "binary_sensor") {
                 if (unit) payload["unit_of_measurement"] = unit;
                 if (devClass) payload["device_class"] = devClass;
                 if (stateClass) payload["state_class"] = stateClass;
@@ -191,83 +554,88 @@ class MqttClient {
                     payload["suggested_display_precision"] = options.precision;
                 }
 
-                payload["expire_after"] = Math.ceil((parseInt(process.env.POLL_INTERVAL) || 5000) / 1000) * 2 + 5;
+                // Unchanged values are only repeated with the heartbeat
+                payload["expire_after"] = Math.ceil(Math.max(poller.interval, this.heartbeatInterval) / 1000) * 2 + 5;
             } else {
-                payload["command_topic"] = `${MqttClient.TOPIC_PREFIX}/${identifier}/set/${key}`;
+                payload["command_topic"] = `${this.topicPrefix}/${identifier}/set/${options.command_key ?? key}`;
                 if (options.min !== undefined) payload["min"] = options.min;
                 if (options.max !== undefined) payload["max"] = options.max;
                 if (options.step) payload["step"] = options.step;
 
-                const controls = this.poller.constructor.CONTROLS;
+                const controls = poller.constructor.CONTROLS;
                 if (type === "select" && controls[key] && controls[key].map) {
                     payload["options"] = Object.values(controls[key].map);
                 }
 
+                if (type === "number" && controls[key]) {
+                    if (controls[key].min !== undefined) payload["min"] = controls[key].min;
+                    if (controls[key].max !== undefined) payload["max"] = controls[key].max;
+                    if (controls[key].step) payload["step"] = controls[key].step;
+                }
+
                 if (type === "button") {
                     delete payload["state_topic"];
+                    if (options.payload_press !== undefined) payload["payload_press"] = options.payload_press;
                 }
 
+                if (options.payload_on !== undefined) payload["payload_on"] = options.payload_on;
+                if (options.payload_off !== undefined) payload["payload_off"] = options.payload_off;
+                if (options.state_on !== undefined) payload["state_on"] = options.state_on;
+                if (options.state_off !== undefined) payload["state_off"] = options.state_off;
+
                 if (unit) payload["unit_of_measurement"] = unit;
             }
 
-            this.client.publish(discoveryTopic, JSON.stringify(payload), { retain: true });
+            this.publish(discoveryTopic, JSON.stringify(payload), { retain: true });
+            announced.add(discoveryTopic);
         };
 
-        makeConfig("ac_power", "AC Power", "W", "power", "measurement", "sensor", { precision: 0 });
-        makeConfig("battery_power", "Battery Power", "W", "power", "measurement", "sensor", { precision: 0 });
-        makeConfig("battery_voltage", "Battery Voltage", "V", "voltage", "measurement", "sensor", { precision: 3 });
-        makeConfig("battery_current", "Battery Current", "A", "current", "measurement", "sensor", { precision: 3 });
-        makeConfig("ac_voltage", "AC Voltage", "V", "voltage", "measurement", "sensor", { precision: 3 });
-        makeConfig("ac_current", "AC Current", "A", "current", "measurement", "sensor", { precision: 3 });
-        makeConfig("ac_frequency", "AC Frequency", "Hz", "frequency", "measurement", "sensor", { precision: 2 });
-        makeConfig("soc", "State of Charge", "%", "battery", "measurement", "sensor", { precision: 2 });
-        makeConfig("battery_design_capacity", "Design Capacity", "kWh", null,"measurement", "sensor", { precision: 3, enabled_by_default: false });
-        makeConfig("remaining_energy", "Remaining Energy", "kWh", "energy_storage", "measurement", "sensor", { precision: 2 });
-
-        makeConfig("total_energy_in", "Total Energy In", "kWh", "energy", "total_increasing", "sensor", { precision: 3 });
-        makeConfig("total_energy_out", "Total Energy Out", "kWh", "energy", "total_increasing", "sensor", { precision: 3 });
-
-        makeConfig("internal_temperature", "Internal Temp", "°C", "temperature", "measurement", "sensor", { precision: 1 });
-        makeConfig("internal_mos1_temperature", "Internal MOS1 Temp", "°C", "temperature", "measurement", "sensor", { precision: 1 });
-        makeConfig("internal_mos2_temperature", "Internal MOS2 Temp", "°C", "temperature", "measurement", "sensor", { precision: 1 });
-        makeConfig("max_cell_temperature", "Max Cell Temp", "°C", "temperature", "measurement", "sensor", { precision: 1 });
-        makeConfig("min_cell_temperature", "Min Cell Temp", "°C", "temperature", "measurement", "sensor", { precision: 1 });
-
-        makeConfig("max_cell_voltage", "Max Cell Voltage", "V", "voltage", "measurement", "sensor", { precision: 3, entity_category: "diagnostic" });
-        makeConfig("min_cell_voltage", "Min Cell Voltage", "V", "voltage", "measurement", "sensor", { precision: 3, entity_category: "diagnostic" });
-
-        for (let i = 1; i <= 4; i++) {
-            makeConfig(`mppt${i}_voltage`, `MPPT ${i} Voltage`, "V", "voltage", "measurement", "sensor", { precision: 3 });
-            makeConfig(`mppt${i}_current`, `MPPT ${i} Current`, "A", "current", "measurement", "sensor", { precision: 3 });
-            makeConfig(`mppt${i}_power`, `MPPT ${i} Power`, "W", "power", "measurement", "sensor", { precision: 0 });
-        }
+        RegisterMap.getDiscoveryFields(poller.getHardware()).forEach(field => {
+            const ha = field.ha;
 
-        for (let b = 1; b <= 6; b++) {
-            makeConfig(`battery_${b}_soc`, `Battery ${b} SOC`, "%", "battery", "measurement", "sensor", { precision: 2 });
-            for (let c = 1; c <= 13; c++) {
-                makeConfig(`battery_${b}_cell_${c}_voltage`, `Battery ${b} Cell ${c} Voltage`, "V", "voltage", "measurement", "sensor", { precision: 3, enabled_by_default: false, entity_category: "diagnostic" });
+            if (field.control && !poller.commandGuard.isAllowed(field.control)) {
+                return;
             }
-        }
 
-        makeConfig("inverter_state", "Inverter State", null, null, null, "sensor");
+            // Diagnostics are tracked separately from the polled data and thus always have their own topics
+            const options = Object.assign({ snapshot: field.group !== "diagnostics" }, ha);
 
-        makeConfig("set_charge_power", "Set Charge Power", "W", null, null, "number", { min: 0, max: 2500, step: 50, enabled_by_default: false });
-        makeConfig("set_discharge_power", "Set Discharge Power", "W", null, null, "number", { min: 0, max: 2500, step: 50, enabled_by_default: false });
-        makeConfig("charge_to_soc", "Charge to SOC", "%", null, null, "number", { min: 10, max: 100, step: 1, enabled_by_default: false });
+            makeConfig(field.key, ha.name, field.unit, ha.device_class, ha.state_class, ha.component || "sensor", options);
+
+            if (field.control && field.control.dangerous) {
+                makeConfig(`${field.key}_arm`, `Arm ${ha.name}`, null, null, null, "button", {
+                    enabled_by_default: ha.enabled_by_default,
+                    entity_category: "config",
+                    command_key: field.key,
+                    payload_press: "ARM"
+                });
+            }
+        });
 
-        makeConfig("user_work_mode", "User Work Mode", null, null, null, "select");
-        makeConfig("force_mode", "Force Mode", null, null, null, "select", {enabled_by_default: false});
+        Object.entries(this.customEntities[identifier]).forEach(([key, entity]) => {
+            const ha = entity.ha;
 
-        makeConfig("backup_function", "Backup Function", null, null, null, "switch");
-        makeConfig("rs485_control_mode", "RS485 Control Mode", null, null, null, "switch", { enabled_by_default: false });
+            if (ha) {
+                makeConfig(key, ha.name, entity.unit, ha.device_class, ha.state_class, ha.component || "sensor", ha);
+            }
+        });
 
-        makeConfig("reset_device", "Reset Device", null, null, null, "button", { enabled_by_default: false });
-        makeConfig("factory_reset", "Factory Reset", null, null, null, "button", { enabled_by_default: false });
+        // An empty retained config makes Home Assistant remove the entity
+        this.discoveryTopics[identifier].forEach(topic => {
+            if (!announced.has(topic)) {
+                Logger.info(`[${identifier}] Removing stale entity ${topic}`);
+                this.publish(topic, "", { retain: true });
+            }
+        });
 
-        this.autoconfTimestamp = Date.now();
+        this.autoconfTimestamps[identifier] = Date.now();
+        this.autoconfDevices[identifier] = deviceJson;
+        this.discoveryTopics[identifier] = announced;
     }
 }
 
-MqttClient.TOPIC_PREFIX = "marstek2mqtt";
+MqttClient.DEFAULT_TOPIC_PREFIX = "marstek2mqtt";
+MqttClient.DEFAULT_DISCOVERY_PREFIX = "homeassistant";
+MqttClient.PUBLISH_MODES = ["topics", "json"];
 
 module.exports = MqttClient;
@@ -0,0 +1,182 @@
+const Logger = require("./Logger");
+const RegisterMap = require("./RegisterMap");
+const StateFile = require("./StateFile");
+
+const FIELDS = new Map(RegisterMap.FIELDS.map(field => [field.key, field]));
+
+/**
+ * Keeps the garbage the device occasionally returns from being published. A sample is rejected if
+ * - its registers read all ones, which is what the device returns for values it doesn't have.
+ *   Only unsigned fields are checked this way, as -1 is a valid reading for most signed ones. Their ranges cover them instead
+ * - it is outside the range of its field, see plausible in the RegisterMap
+ * - it changed faster than its field allows. Unless it is read that way MAX_REJECTIONS times in a row, in which case it is real
+ * - it is a lifetime counter that went backwards
+ *
+ * Rejected samples are dropped, so that the last accepted value is published in their place.
+ *
+ * A counter that stays below its high-water mark for RESET_CONFIRMATIONS reads has been reset, e.g. by a firmware update.
+ * From then on an offset is added that continues it from the high-water mark, so that the energy dashboard
+ * of Home Assistant isn't messed up. Should it jump back to at or above the old high-water mark, the reset was
+ * a long glitch and the offset is dropped again. High-water marks and offsets are persisted to also hold across restarts.
+ */
+class PlausibilityFilter {
+    /**
+     * @param {object} options
+     * @param {string} options.statePath JSON file the counter high-water marks and offsets are stored in
+     */
+    constructor(options) {
+        this.statePath = options.statePath;
+        this.state = this.load();
+        this.saveTimestamp = 0;
+
+        // Last accepted sample and time by key. Those of counters are part of the state
+        this.accepted = {};
+        // Consecutive suspicious samples by key, see MAX_REJECTIONS
+        this.suspects = {};
+        // Rejected samples by key
+        this.rejections = {};
+    }
+
+    /**
+     * @param {object} values as read, by key. Rejected samples are removed and counters get their offset added
+     * @param {number} [now]
+     * @returns {Array<string>} the keys of the rejected samples
+     */
+    filter(values, now = Date.now()) {
+        const rejected = [];
+
+        Object.keys(values).forEach(key => {
+            const field = FIELDS.get(key);
+
+            if (field === undefined || typeof values[key] !== "number") {
+                return;
+            }
+
+            const value = this.check(field, values[key], now);
+            if (value === null) {
+                this.rejections[key] = (this.rejections[key] ?? 0) + 1;
+                rejected.push(key);
+                delete values[key];
+            } else {
+                values[key] = value;
+            }
+        });
+
+        return rejected;
+    }
+
+    /**
+     * @param {object} field
+     * @param {number} value
+     * @param {number} now
+     * @returns {number|null} the value to use, null if the sample is rejected
+     */
+    check(field, value, now) {
+        const plausible = field.plausible ?? {};
+        const sentinel = PlausibilityFilter.SENTINELS[field.type];
+
+        if (typeof field.decode !== "function" && sentinel !== undefined && Math.round(value / (field.scale ?? 1)) === sentinel) {
+            Logger.debug(`Rejecting ${field.key}: registers read ${sentinel.toString(16).toUpperCase()}`);
+            return null;
+        }
+        if ((plausible.min !== undefined && value < plausible.min) || (plausible.max !== undefined && value > plausible.max)) {
+            Logger.debug(`Rejecting ${field.key}: ${value} is out of range`);
+            return null;
+        }
+
+        let last = plausible.monotonic ? this.state.counters[field.key] : this.accepted[field.key];
+
+        if (plausible.monotonic && last !== undefined && last.reset !== undefined &&
+            value >= last.reset.value && !this.isWithinRate(field, last, value, now)) {
+            // Jumped back to where it was before, so the reset was a glitch that lasted long enough to be taken for one
+            Logger.warn(`${field.key} is back at ${value}. Dropping the offset of its presumed reset`);
+            last = last.reset;
+        }
+
+        const backwards = last !== undefined && plausible.monotonic === true && value < last.value;
+        let suspect = null;
+
+        if (last !== undefined && (backwards || !this.isWithinRate(field, last, value, now))) {
+            const previous = this.suspects[field.key];
+            const consistent = previous !== undefined &&
+                (!plausible.monotonic || value >= previous.value) &&
+                this.isWithinRate(field, previous, value, now);
+            // start is where a counter was reset to, the reads since count towards it
+            suspect = consistent ?
+                { value: value, time: now, count: previous.count + 1, start: previous.start } :
+                { value: value, time: now, count: 1, start: value };
+
+            this.suspects[field.key] = suspect;
+            if (suspect.count < (backwards ? PlausibilityFilter.RESET_CONFIRMATIONS : PlausibilityFilter.MAX_REJECTIONS)) {
+                Logger.debug(`Rejecting ${field.key}: ${value} is too far off from ${last.value}`);
+                return null;
+            }
+        }
+        delete this.suspects[field.key];
+
+        if (!plausible.monotonic) {
+            this.accepted[field.key] = { value: value, time: now };
+            return value;
+        }
+
+        const counter = { value: value, offset: last !== undefined ? last.offset : 0, time: now };
+        if (backwards) {
+            // Kept to recognize the device returning to the old value
+            counter.reset = { value: last.value, offset: last.offset, time: last.time };
+            counter.offset = last.value + last.offset - suspect.start;
+            Logger.warn(`${field.key} was reset from ${last.value} to ${suspect.start}. Continuing it with an offset of ${counter.offset}`);
+        } else if (last !== undefined && last.reset !== undefined) {
+            counter.reset = last.reset;
+        }
+
+        this.state.counters[field.key] = counter;
+        if (backwards || last === undefined || now - this.saveTimestamp >= PlausibilityFilter.SAVE_INTERVAL) {
+            this.save(now);
+        }
+
+        return value + counter.offset;
+    }
+
+    /**
+     * A step by the resolution of the register is always within rate, e.g. a SoC in whole percent
+     * going up by 1 between two polls a second apart
+     *
+     * @param {object} field
+     * @param {{value: number, time: number}} last
+     * @param {number} value
+     * @param {number} now
+     * @returns {boolean}
+     */
+    isWithinRate(field, last, value, now) {
+        const rate = (field.plausible ?? {}).rate;
+        if (rate === undefined) {
+            return true;
+        }
+
+        const allowed = Math.max(rate * Math.max(now - last.time, 0) / 1000, field.scale ?? 1);
+        // Tolerates the rounding errors of scaled values
+        return Math.abs(value - last.value) <= allowed + 1e-9;
+    }
+
+    load() {
+        return StateFile.load(this.statePath, { counters: {} }, "counter state");
+    }
+
+    /**
+     * @param {number} [now]
+     */
+    save(now = Date.now()) {
+        this.saveTimestamp = now;
+
+        StateFile.save(this.statePath, this.state, "counter state");
+    }
+}
+
+PlausibilityFilter.SENTINELS = Object.freeze({ "u16": 0xFFFF, "u32": 0xFFFFFFFF });
+PlausibilityFilter.MAX_REJECTIONS = 3;
+// Higher than MAX_REJECTIONS, as a counter that was wrongly taken as reset would be off by its high-water mark for good
+PlausibilityFilter.RESET_CONFIRMATIONS = 10;
+// The high-water marks only need to be roughly up to date to tell a reset from a glitch after a restart
+PlausibilityFilter.SAVE_INTERVAL = 5 * 60 * 1000;
+
+module.exports = PlausibilityFilter;
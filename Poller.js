@@ -1,168 +1,404 @@
 const EventEmitter = require("events").EventEmitter;
 const ModbusRTU = require("modbus-serial");
+const path = require("path");
+const BatteryAnalytics = require("./BatteryAnalytics");
+const CommandGuard = require("./CommandGuard");
+const CommandHandler = require("./CommandHandler");
+const EnergyAccumulator = require("./EnergyAccumulator");
+const HardwareDetector = require("./HardwareDetector");
 const Logger = require("./Logger");
-
-/**
- * Not implemented and not validated so far:
- * - Device Info: 31000 (Name), 30200-30204 (EMS/VMS/BMS Firmware), 30350 (Comm Firmware)
- * - Network Data: 30304 (MAC), 30300 (WiFi Status), 30303 (WiFi Signal), 30302 (Cloud Status)
- * - Daily/Monthly Accumulators: 33004 - 33010 (Charging/Discharging totals)
- * - Schedules (1-6): 43100 - 43129 (Days, Start, End, Mode, Enabled)
- */
+const PlausibilityFilter = require("./PlausibilityFilter");
+const ReadPlanner = require("./ReadPlanner");
+const RegisterMap = require("./RegisterMap");
+const Schedule = require("./Schedule");
 
 class Poller {
-    constructor() {
+    /**
+     * @param {object} options
+     * @param {string} options.identifier
+     * @param {"tcp"|"rtu"|"rtu-over-tcp"} [options.transport] Modbus TCP, RTU on a serial device or RTU frames over TCP
+     * @param {string} [options.host] required for tcp and rtu-over-tcp
+     * @param {number} [options.port]
+     * @param {string} [options.serialPort] required for rtu, e.g. /dev/ttyUSB0
+     * @param {number} [options.baudRate]
+     * @param {"none"|"even"|"odd"} [options.parity]
+     * @param {number} [options.dataBits]
+     * @param {number} [options.stopBits]
+     * @param {number} [options.timeout] ms until a request is considered lost
+     * @param {number} [options.slaveId]
+     * @param {number} [options.interval] ms between two polls, each of which reads the "fast" tier
+     * @param {number} [options.slowInterval] ms between two reads of the "slow" tier, see RegisterMap
+     * @param {number} [options.staticInterval] ms between two reads of the "static" tier
+     * @param {number} [options.fastModeInterval] interval while in fast mode, see setFastMode
+     * @param {number} [options.fastModeDuration] ms the fast mode lasts unless told otherwise
+     * @param {number} [options.reconnectDelay] ms before the first reconnect attempt. Doubled with every failed one
+     * @param {number} [options.maxReconnectDelay]
+     * @param {number} [options.deviceInfoInterval]
+     * @param {number} [options.maxReadGap] see ReadPlanner
+     * @param {number} [options.energyInOffset]
+     * @param {number} [options.energyOutOffset]
+     * @param {"auto"|"device"|"computed"} [options.energyAccumulators] where daily/monthly totals come from
+     * @param {string} [options.stateDirectory]
+     * @param {object} [options.safety] see CommandGuard
+     * @param {object} [options.analytics] thresholds, see BatteryAnalytics
+     */
+    constructor(options) {
         this.eventEmitter = new EventEmitter();
         this.client = new ModbusRTU();
         this.connected = false;
 
-        this.energyInOffset = parseFloat(process.env.ENERGY_IN_OFFSET) || 0;
-        this.energyOutOffset = parseFloat(process.env.ENERGY_OUT_OFFSET) || 0;
+        this.identifier = options.identifier;
+        this.transport = options.transport ?? "tcp";
+        this.host = options.host;
+        this.port = options.port ?? 502;
+        this.serial = {
+            path: options.serialPort,
+            baudRate: options.baudRate ?? 115200,
+            parity: options.parity ?? "none",
+            dataBits: options.dataBits ?? 8,
+            stopBits: options.stopBits ?? 1
+        };
+        this.timeout = options.timeout ?? 2000;
+        this.slaveId = options.slaveId ?? 1;
+        this.interval = options.interval ?? 5000;
+        this.tierIntervals = {
+            slow: options.slowInterval ?? 30 * 1000,
+            static: options.staticInterval ?? 10 * 60 * 1000
+        };
+        this.fastModeInterval = options.fastModeInterval ?? 1000;
+        this.fastModeDuration = options.fastModeDuration ?? 5 * 60 * 1000;
+        this.fastModeUntil = 0;
+        this.reconnectDelay = options.reconnectDelay ?? 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay ?? 5 * 60 * 1000;
+        this.reconnectAttempts = 0;
+        this.deviceInfoInterval = options.deviceInfoInterval ?? 60 * 60 * 1000;
+        this.maxReadGap = options.maxReadGap ?? ReadPlanner.DEFAULT_MAX_GAP;
+
+        this.deviceInfo = null;
+        this.deviceInfoTimestamp = 0;
+
+        // Last read value of every "poll" and "module" field, as not every tier is read every cycle
+        this.values = {};
+        // Time slot, i.e. the time divided by the tier interval, in which a tier was last read
+        this.tierSlots = {};
+
+        this.hasConnected = false;
+        this.diagnostics = {
+            last_poll: null,
+            poll_duration: null,
+            consecutive_failures: 0,
+            reconnects: 0,
+            modbus_errors: 0,
+            rejected_samples: 0,
+            capabilities: null
+        };
+
+        // Whether the optional register blocks are supported by name, see probeCapabilities
+        this.capabilities = {};
+        this.capabilitiesProbed = false;
+
+        // Tail of the chain every Modbus transaction is appended to
+        this.queue = Promise.resolve();
+
+        this.energyInOffset = options.energyInOffset ?? 0;
+        this.energyOutOffset = options.energyOutOffset ?? 0;
+
+        this.commandGuard = new CommandGuard(options.safety);
+        this.commandHandler = new CommandHandler(this);
+
+        this.energyAccumulatorSource = options.energyAccumulators ?? "auto";
+        this.energyAccumulator = new EnergyAccumulator({
+            statePath: path.join(options.stateDirectory ?? "state", `energy_${this.identifier}.json`)
+        });
+        this.analytics = new BatteryAnalytics(Object.assign({}, options.analytics, {
+            statePath: path.join(options.stateDirectory ?? "state", `analytics_${this.identifier}.json`)
+        }));
+        this.hardwareDetector = new HardwareDetector({
+            statePath: path.join(options.stateDirectory ?? "state", `hardware_${this.identifier}.json`)
+        });
+        this.plausibilityFilter = new PlausibilityFilter({
+            statePath: path.join(options.stateDirectory ?? "state", `counters_${this.identifier}.json`)
+        });
     }
 
     async initialize() {
-        if (!process.env.POLL_IP) {
-            Logger.error("POLL_IP is not set.");
-            process.exit(1);
-        }
-
-        const interval = Number(process.env.POLL_INTERVAL) || 5000;
-        const port = Number(process.env.POLL_PORT) || 502;
-        const slaveId = Number(process.env.SLAVE_ID) || 1;
-
-        Logger.info(`Initializing Poller: ${process.env.POLL_IP}:${port} ID:${slaveId} Interval:${interval}ms`);
+        Logger.info(`[${this.identifier}] Initializing Poller: ${this.describeTransport()} ID:${this.slaveId} Interval:${this.interval}ms`);
         if (this.energyInOffset !== 0 || this.energyOutOffset !== 0) {
-            Logger.info(`Using Energy Offsets - In: ${this.energyInOffset} kWh, Out: ${this.energyOutOffset} kWh`);
+            Logger.info(`[${this.identifier}] Using Energy Offsets - In: ${this.energyInOffset} kWh, Out: ${this.energyOutOffset} kWh`);
         }
 
-        const connect = async () => {
-            try {
-                if (this.client.isOpen) this.client.close();
-
-                await this.client.connectTCP(process.env.POLL_IP, { port: port });
-                this.client.setID(slaveId);
-                this.client.setTimeout(2000);
-                this.connected = true;
-                Logger.info("Modbus connected");
-            } catch (e) {
-                Logger.error("Modbus connection failed:", e.message);
-                this.connected = false;
-            }
-        };
-
-        await connect();
+        await this.connect();
 
         const pollingLoop = async () => {
-            if (!this.connected) await connect();
-
-            if (this.connected) {
-                try {
-                    await this.poll();
-                } catch (err) {
-                    Logger.warn("Error during poll cycle", err.message);
-                    this.connected = false;
-                }
-            }
+            await this.pollCycle();
 
             setTimeout(() => {
                 pollingLoop().catch(() => {});
-            }, interval - (Date.now() % interval));
+            }, this.getNextDelay());
         };
 
-        pollingLoop().catch(() => {});
+        if (this.connected) {
+            pollingLoop().catch(() => {});
+        } else {
+            setTimeout(() => {
+                pollingLoop().catch(() => {});
+            }, this.getNextDelay());
+        }
     }
 
-    async poll() {
-        const data = {};
+    /**
+     * @param {number} [now]
+     * @returns {number} ms until the next poll cycle. Aligned to the interval while connected
+     */
+    getNextDelay(now = Date.now()) {
+        if (!this.connected) {
+            const delay = this.getReconnectDelay();
 
-        const power = await this.readBlock(30001, 6);
-        data.battery_power = power.readInt16BE(0);
-        data.ac_power      = power.readInt16BE(10);
+            Logger.debug(`[${this.identifier}] Reconnecting in ${Math.round(delay)} ms`);
+            return delay;
+        }
 
-        const bat = await this.readBlock(30100, 2);
-        data.battery_voltage = bat.readUInt16BE(0) * 0.01;
-        data.battery_current = bat.readInt16BE(2) * 0.1;
+        const interval = this.getPollInterval(now);
+        return interval - (now % interval);
+    }
 
-        const bat_global = await this.readBlock(32104, 6);
-        data.soc = bat_global.readUInt16BE(0);
-        data.battery_design_capacity = bat_global.readUInt16BE(2) * 0.001;
-        const moduleCount = bat_global.readUInt16BE(10);
+    /**
+     * @returns {number} ms to wait before the next reconnect attempt: exponential in the number of failed attempts,
+     *   capped at maxReconnectDelay, of which a random part of up to half is dropped so that several bridges
+     *   or devices behind one gateway don't retry in lockstep
+     */
+    getReconnectDelay() {
+        const delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay);
 
-        const ac = await this.readBlock(32200, 5);
-        data.ac_voltage   = ac.readUInt16BE(0) * 0.1;
-        data.ac_frequency = ac.readInt16BE(8) * 0.1;
+        return delay / 2 + Math.random() * delay / 2;
+    }
 
-        // FIXME: Validate. Does this require a minimum firmware version or is it just invalid?
-        // const offgrid = await this.readBlock(32300, 4);
-        // data.ac_offgrid_voltage = offgrid.readUInt16BE(0) * 0.1;
-        // data.ac_offgrid_current = offgrid.readUInt16BE(2) * 0.01;
-        // data.ac_offgrid_power   = offgrid.readInt32BE(4);
+    /**
+     * @param {number} [now]
+     * @returns {number}
+     */
+    getPollInterval(now = Date.now()) {
+        return this.isFastMode(now) ? Math.min(this.fastModeInterval, this.interval) : this.interval;
+    }
+
+    /**
+     * Temporarily polls every fastModeInterval, e.g. while a control loop needs quick feedback.
+     * Only the "fast" tier is read more often. Calling it again extends or ends the fast mode.
+     *
+     * @param {number} [duration] ms, 0 ends the fast mode
+     */
+    setFastMode(duration = this.fastModeDuration) {
+        const wasActive = this.isFastMode();
 
-        const soc_block = await this.readBlock(37004, 5);
-        data.ac_current = soc_block.readInt16BE(0) * 0.004;
-        data.max_cell_voltage   = soc_block.readUInt16BE(6) * 0.001;
-        data.min_cell_voltage   = soc_block.readUInt16BE(8) * 0.001;
+        this.fastModeUntil = duration > 0 ? Date.now() + duration : 0;
 
-        const nrg = await this.readBlock(33000, 4);
-        data.total_energy_in  = (nrg.readUInt32BE(0) * 0.01) + this.energyInOffset;
-        data.total_energy_out = (nrg.readInt32BE(4) * 0.01) + this.energyOutOffset;
+        if (this.isFastMode() !== wasActive) {
+            Logger.info(`[${this.identifier}] Fast mode ${wasActive ? "ended" : `enabled for ${duration} ms`}`);
+        }
+    }
 
-        const temp = await this.readBlock(35000, 3);
-        data.internal_temperature = temp.readInt16BE(0) * 0.1;
-        data.internal_mos1_temperature = temp.readInt16BE(2) * 0.1;
-        data.internal_mos2_temperature = temp.readInt16BE(4) * 0.1;
+    /**
+     * @param {number} [now]
+     * @returns {boolean}
+     */
+    isFastMode(now = Date.now()) {
+        return now < this.fastModeUntil;
+    }
 
-        const temp2 = await this.readBlock(35010, 2);
-        data.max_cell_temperature = temp2.readInt16BE(0) * 0.1;
-        data.min_cell_temperature = temp2.readInt16BE(2) * 0.1;
+    async connect() {
+        try {
+            if (this.client.isOpen) this.client.close();
 
-        data.inverter_state = (await this.readBlock(35100, 1)).readUInt16BE(0);
-        data.backup_function = (await this.readBlock(41200, 1)).readUInt16BE(0);
+            await this.openTransport();
+            this.client.setID(this.slaveId);
+            this.client.setTimeout(this.timeout);
 
-        const ctrl1 = await this.readBlock(42010, 2);
-        data.force_mode    = ctrl1.readUInt16BE(0);
-        data.charge_to_soc = ctrl1.readUInt16BE(2);
+            if (this.hasConnected) {
+                this.diagnostics.reconnects++;
+            }
+            this.hasConnected = true;
+            // Anything could have changed while the device was unreachable, even its firmware
+            this.tierSlots = {};
+            this.capabilitiesProbed = false;
+            this.deviceInfoTimestamp = 0;
+
+            this.setConnected(true);
+            Logger.info(`[${this.identifier}] Modbus connected`);
+        } catch (e) {
+            Logger.error(`[${this.identifier}] Modbus connection failed:`, e.message);
+            this.reconnectAttempts++;
+            this.setConnected(false);
+        }
+    }
 
-        const ctrl2 = await this.readBlock(42020, 2);
-        data.set_charge_power    = ctrl2.readUInt16BE(0);
-        data.set_discharge_power = ctrl2.readUInt16BE(2);
+    /**
+     * Opens the connection of the configured transport. Everything on top of it is the same for all of them
+     */
+    async openTransport() {
+        switch (this.transport) {
+            case "rtu":
+                await this.client.connectRTUBuffered(this.serial.path, {
+                    baudRate: this.serial.baudRate,
+                    parity: this.serial.parity,
+                    dataBits: this.serial.dataBits,
+                    stopBits: this.serial.stopBits
+                });
+                break;
+            case "rtu-over-tcp":
+                // The "telnet" port of modbus-serial sends raw RTU frames, unlike its TcpRTUBuffered port that uses MBAP headers
+                await this.client.connectTelnet(this.host, { port: this.port });
+                break;
+            default:
+                await this.client.connectTCP(this.host, { port: this.port });
+        }
+    }
 
-        data.user_work_mode = (await this.readBlock(43000, 1)).readUInt16BE(0);
-        data.rs485_control_mode = (await this.readBlock(42000, 1)).readUInt16BE(0);
+    /**
+     * @returns {string} e.g. tcp://192.168.1.100:502 or rtu:///dev/ttyUSB0 (115200 8N1)
+     */
+    describeTransport() {
+        if (this.transport === "rtu") {
+            const serial = this.serial;
 
-        const mppt = await this.readBlock(30020, 21);
-        for (let i = 1; i <= 4; i++) {
-            data[`mppt${i}_voltage`] = mppt.readUInt16BE((i - 1) * 2) * 0.1;
-            data[`mppt${i}_current`] = mppt.readUInt16BE((4 + (i - 1)) * 2) * 0.1;
-            data[`mppt${i}_power`]   = mppt.readUInt16BE((17 + (i - 1)) * 2) * 0.1;
+            return `rtu://${serial.path} (${serial.baudRate} ${serial.dataBits}${serial.parity[0].toUpperCase()}${serial.stopBits})`;
         }
 
-        let totalHighResSoc = 0;
-        let validModules = 0;
+        return `${this.transport}://${this.host}:${this.port}`;
+    }
+
+    /**
+     * (Re-)connects if necessary, refreshes the device info if it is due and polls once.
+     * Never throws. The outcome is reflected in the diagnostics.
+     */
+    async pollCycle() {
+        if (!this.connected) await this.connect();
 
-        for (let i = 1; i <= moduleCount; i++) {
+        if (this.connected && !this.capabilitiesProbed) {
             try {
-                let base = 34000 + (i - 1) * 100;
-                const modSoc = await this.readBlock(base + 2, 1);
-                const highResSoc = modSoc.readUInt16BE(0) * 0.1;
+                await this.runExclusive(() => this.probeCapabilities());
+            } catch (err) {
+                Logger.warn(`[${this.identifier}] Failed to probe the supported registers`, err.message);
+            }
+        }
 
-                data[`battery_${i}_soc`] = highResSoc;
+        if (this.connected && Date.now() - this.deviceInfoTimestamp >= this.deviceInfoInterval) {
+            // Static or slowly changing, so this is only refreshed every deviceInfoInterval once it could be read
+            try {
+                await this.runExclusive(() => this.pollDeviceInfo());
+                this.deviceInfoTimestamp = Date.now();
+            } catch (err) {
+                Logger.warn(`[${this.identifier}] Failed to read device info`, err.message);
+            }
+        }
 
-                totalHighResSoc += highResSoc;
-                validModules++;
+        if (this.connected) {
+            try {
+                const duration = await this.runExclusive(async () => {
+                    const start = Date.now();
+                    await this.poll();
 
-                const modCells = await this.readBlock(base + 18, 13);
-                for (let c = 1; c <= 13; c++) {
-                    data[`battery_${i}_cell_${c}_voltage`] = modCells.readInt16BE((c - 1) * 2) * 0.001;
-                }
+                    return Date.now() - start;
+                });
+
+                this.diagnostics.last_poll = new Date().toISOString();
+                this.diagnostics.poll_duration = duration;
+                this.diagnostics.consecutive_failures = 0;
+                // Only a poll tells that the device is back. Some accept connections but don't answer
+                this.reconnectAttempts = 0;
+            } catch (err) {
+                Logger.warn(`[${this.identifier}] Error during poll cycle`, err.message);
+                this.diagnostics.consecutive_failures++;
+                this.reconnectAttempts++;
+                this.setConnected(false);
+            }
+        } else {
+            this.diagnostics.consecutive_failures++;
+        }
+
+        this.eventEmitter.emit(Poller.EVENTS.Diagnostics, Object.assign({}, this.diagnostics));
+    }
+
+    /**
+     * @param {boolean} connected
+     */
+    setConnected(connected) {
+        if (this.connected !== connected) {
+            this.connected = connected;
+            this.eventEmitter.emit(Poller.EVENTS.Availability, connected);
+        }
+    }
+
+    /**
+     * Reads the "fast" tier and every other tier that is due, and emits them merged with the last values of the rest.
+     * Implausible values are replaced with the last plausible ones, see PlausibilityFilter
+     */
+    async poll() {
+        const now = Date.now();
+        const tiers = this.getDueTiers(now);
+        const isDue = field => tiers.includes(field.tier ?? "fast") && this.isSupported(field);
+
+        const values = await this.readFields(RegisterMap.getFields("poll").filter(isDue));
+
+        const moduleCount = values.module_count ?? this.values.module_count;
+        let validModules = 0;
+
+        for (let i = 1; i <= Math.min(moduleCount, RegisterMap.MAX_MODULES); i++) {
+            try {
+                Object.assign(values, await this.readFields(RegisterMap.getModuleFields(i).filter(isDue)));
+                validModules++;
             } catch (err) {
-                Logger.warn(`Failed to read module ${i} despite module count reporting ${moduleCount}`);
+                Logger.warn(`[${this.identifier}] Failed to read module ${i} despite module count reporting ${moduleCount}`);
                 break;
             }
         }
 
-        if (validModules > 0) {
-            const avgSoc = totalHighResSoc / validModules;
+        this.filterValues(values, now);
+        Object.assign(this.values, values);
+
+        if (tiers.includes("slow")) {
+            // Derived from the lifetime counters, which are in the slow tier as well
+            const accumulators = await this.readEnergyAccumulators(
+                this.values.total_energy_in + this.energyInOffset,
+                this.values.total_energy_out + this.energyOutOffset
+            );
+
+            this.filterValues(accumulators, now);
+            Object.assign(this.values, accumulators);
+        }
+
+        tiers.forEach(tier => {
+            this.tierSlots[tier] = Math.floor(now / this.getTierInterval(tier));
+        });
+
+        if (this.hardwareDetector.update(this.deviceInfo ? this.deviceInfo.device_name : null, moduleCount, this.values)) {
+            const hardware = this.getHardware();
+
+            Logger.info(`[${this.identifier}] Detected ${hardware.model ?? "unknown model"} with ${hardware.modules} battery modules and MPPT inputs [${hardware.mppts.join(", ")}]`);
+            this.eventEmitter.emit(Poller.EVENTS.Hardware, hardware);
+        }
+        // The last values of a module that was removed would otherwise be emitted forever
+        RegisterMap.prune(this.values, this.getHardware());
+
+        const data = Object.assign({}, this.values);
+        delete data.module_count;
+
+        // Left out until a plausible value has been read
+        if (Number.isFinite(data.total_energy_in)) {
+            data.total_energy_in += this.energyInOffset;
+        }
+        if (Number.isFinite(data.total_energy_out)) {
+            data.total_energy_out += this.energyOutOffset;
+        }
+
+        const moduleSocs = [];
+        for (let i = 1; i <= validModules; i++) {
+            if (data[`battery_${i}_soc`] !== undefined) {
+                moduleSocs.push(data[`battery_${i}_soc`]);
+            }
+        }
+
+        if (moduleSocs.length > 0) {
+            const avgSoc = moduleSocs.reduce((sum, soc) => sum + soc, 0) / moduleSocs.length;
             data.remaining_energy = (avgSoc / 100) * data.battery_design_capacity;
 
             data.soc = avgSoc;
@@ -170,18 +406,340 @@ class Poller {
             data.remaining_energy = (data.soc / 100) * data.battery_design_capacity;
         }
 
+        if (this.deviceInfo) {
+            data.wifi_status = this.deviceInfo.wifi_status;
+            data.wifi_signal = this.deviceInfo.wifi_signal;
+            data.cloud_status = this.deviceInfo.cloud_status;
+            data.comm_version = this.deviceInfo.comm_version;
+        }
+
+        const analysis = this.analytics.analyze(data);
+        Object.assign(data, analysis.values);
+
         this.emitData(data);
+        analysis.events.forEach(event => {
+            this.eventEmitter.emit(Poller.EVENTS.Problem, event);
+        });
+    }
+
+    /**
+     * Removes the implausible values and counts them in the diagnostics
+     *
+     * @param {object} values as read
+     * @param {number} now
+     */
+    filterValues(values, now) {
+        const rejected = this.plausibilityFilter.filter(values, now);
+
+        if (rejected.length > 0) {
+            Logger.debug(`[${this.identifier}] Rejected implausible values of ${rejected.join(", ")}`);
+            this.diagnostics.rejected_samples += rejected.length;
+        }
+    }
+
+    /**
+     * Tries to read each optional register block once. A Modbus exception response means that the firmware
+     * doesn't know the block, which is then skipped from now on instead of failing every poll.
+     * Blocks that couldn't be probed for other reasons are skipped until they are, as they might fail every poll as well.
+     */
+    async probeCapabilities() {
+        const capabilities = {};
+
+        for (const capability of Poller.CAPABILITIES) {
+            // Reading the first module is enough to know about all of them
+            const fields = RegisterMap.FIELDS.filter(field => field.capability === capability && (field.module ?? 1) === 1);
+
+            try {
+                await this.readFields(fields);
+                capabilities[capability] = true;
+            } catch (err) {
+                if (err.modbusCode === undefined) {
+                    throw err;
+                }
+
+                capabilities[capability] = false;
+            }
+        }
+
+        this.capabilitiesProbed = true;
+        this.diagnostics.capabilities = Poller.CAPABILITIES.filter(capability => capabilities[capability]).join(", ");
+
+        if (capabilities.accumulators === false && this.energyAccumulatorSource === "auto") {
+            Logger.info(`[${this.identifier}] Daily/monthly energy registers are not supported. Computing them from the lifetime counters instead.`);
+            this.energyAccumulatorSource = "computed";
+        }
+
+        if (JSON.stringify(capabilities) !== JSON.stringify(this.capabilities)) {
+            this.capabilities = capabilities;
+
+            Logger.info(`[${this.identifier}] Supported optional registers: ${this.diagnostics.capabilities || "none"}`);
+            this.eventEmitter.emit(Poller.EVENTS.Hardware, this.getHardware());
+        }
+    }
+
+    /**
+     * @param {object} field of the RegisterMap
+     * @returns {boolean} false if the field belongs to a register block that isn't known to be supported yet
+     */
+    isSupported(field) {
+        return field.capability === undefined || this.capabilities[field.capability] === true;
+    }
+
+    /**
+     * @returns {{model: string|null, modules: number, mppts: Array<number>, capabilities: Object<string, boolean>}}
+     *   see HardwareDetector and probeCapabilities
+     */
+    getHardware() {
+        return Object.assign(JSON.parse(JSON.stringify(this.hardwareDetector.hardware)), {
+            capabilities: Object.assign({}, this.capabilities)
+        });
+    }
+
+    /**
+     * @param {number} [now]
+     * @returns {Array<string>} the tiers to read. Time slots rather than elapsed time are compared,
+     *   so that a poll starting a few ms early doesn't postpone a tier by a whole interval
+     */
+    getDueTiers(now = Date.now()) {
+        return Poller.TIERS.filter(tier => {
+            return tier === "fast" || this.tierSlots[tier] !== Math.floor(now / this.getTierInterval(tier));
+        });
+    }
+
+    /**
+     * @param {string} tier
+     * @returns {number}
+     */
+    getTierInterval(tier) {
+        return this.tierIntervals[tier] ?? this.interval;
+    }
+
+    async readEnergyAccumulators(totalIn, totalOut) {
+        if (this.energyAccumulatorSource !== "computed") {
+            try {
+                return await this.readFields(RegisterMap.getFields("accumulators"));
+            } catch (err) {
+                // Only a Modbus exception response means that the firmware doesn't know these registers
+                if (this.energyAccumulatorSource === "device" || err.modbusCode === undefined) {
+                    throw err;
+                }
+
+                Logger.info(`[${this.identifier}] Daily/monthly energy registers are not supported (${err.message}). Computing them from the lifetime counters instead.`);
+                this.energyAccumulatorSource = "computed";
+            }
+        }
+
+        return this.energyAccumulator.update(totalIn, totalOut);
+    }
+
+    async pollDeviceInfo() {
+        const info = await this.readFields(RegisterMap.getFields("info"));
+
+        Logger.debug(`[${this.identifier}] Device info`, info);
+
+        this.deviceInfo = info;
+    }
+
+    /**
+     * Reads the given RegisterMap fields using as few requests as possible
+     *
+     * @param {Array<object>} fields
+     * @returns {Promise<object>} decoded values by field key
+     */
+    async readFields(fields) {
+        const data = {};
+
+        for (const block of ReadPlanner.plan(fields, { maxGap: this.maxReadGap })) {
+            const buffer = await this.readBlock(block.start, block.length);
+
+            block.fields.forEach(field => {
+                const offset = (field.address - block.start) * 2;
+                data[field.key] = RegisterMap.decode(field, buffer.subarray(offset, offset + field.length * 2));
+            });
+        }
+
+        return data;
     }
 
     async readBlock(start, length) {
-        const res = await this.client.readHoldingRegisters(start, length);
+        const res = await this.request(() => this.client.readHoldingRegisters(start, length));
+
+        this.eventEmitter.emit(Poller.EVENTS.Registers, start, res.buffer);
         return res.buffer;
     }
 
+    /**
+     * Reads raw registers, queued with the polling
+     *
+     * @param {number} start
+     * @param {number} length
+     * @returns {Promise<Buffer>}
+     */
+    async readRegisters(start, length) {
+        return this.runExclusive(async () => {
+            if (!this.connected) throw new Error("Not connected");
+
+            return this.readBlock(start, length);
+        });
+    }
+
+    /**
+     * Performs a single Modbus request and counts it in the diagnostics if it fails
+     *
+     * @template T
+     * @param {function(): Promise<T>} request
+     * @returns {Promise<T>}
+     */
+    async request(request) {
+        try {
+            return await request();
+        } catch (err) {
+            this.diagnostics.modbus_errors++;
+            throw err;
+        }
+    }
+
+    /**
+     * Runs the task once all previously queued Modbus transactions are done
+     * so that writes never interleave with an in-progress poll on the same socket
+     *
+     * @template T
+     * @param {function(): Promise<T>} task
+     * @returns {Promise<T>}
+     */
+    runExclusive(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+
+        return result;
+    }
+
     async writeRegister(address, value) {
-        if (!this.connected) throw new Error("Not connected");
-        Logger.info(`Writing ${value} to register ${address}`);
-        await this.client.writeRegister(address, value);
+        return this.runExclusive(async () => {
+            if (!this.connected) throw new Error("Not connected");
+            Logger.info(`[${this.identifier}] Writing ${value} to register ${address}`);
+            await this.request(() => this.client.writeRegister(address, value));
+            this.eventEmitter.emit(Poller.EVENTS.Written, address, [value]);
+            this.storeRegisters(address, [value]);
+        });
+    }
+
+    /**
+     * Writes raw registers as they are, using a single register write if there is only one,
+     * just like the master they come from would have
+     *
+     * @param {number} address
+     * @param {Array<number>} values
+     */
+    async writeRegisters(address, values) {
+        if (values.length === 1) {
+            return this.writeRegister(address, values[0]);
+        }
+
+        return this.runExclusive(async () => {
+            if (!this.connected) throw new Error("Not connected");
+            Logger.info(`[${this.identifier}] Writing [${values.join(", ")}] to registers at ${address}`);
+            await this.request(() => this.client.writeRegisters(address, values));
+            this.eventEmitter.emit(Poller.EVENTS.Written, address, values);
+            this.storeRegisters(address, values);
+        });
+    }
+
+    /**
+     * Updates the last values of the polled fields within written registers.
+     * Otherwise, polls would keep emitting what was there before until the tier of the field is read again.
+     *
+     * @param {number} address
+     * @param {Array<number>} registers
+     */
+    storeRegisters(address, registers) {
+        const buffer = Buffer.alloc(registers.length * 2);
+        registers.forEach((value, i) => buffer.writeUInt16BE(value & 0xFFFF, i * 2));
+
+        RegisterMap.getFields("poll").forEach(field => {
+            const offset = field.address - address;
+
+            if (offset >= 0 && offset + field.length <= registers.length) {
+                this.values[field.key] = RegisterMap.decode(field, buffer.subarray(offset * 2, (offset + field.length) * 2));
+            }
+        });
+    }
+
+    /**
+     * Writes the raw value of a control and reads it back right away
+     *
+     * @param {string} key
+     * @param {number} value
+     * @returns {Promise<number>} the value read back, or the written one for write-only controls
+     */
+    async writeControl(key, value) {
+        const control = Poller.CONTROLS[key];
+        const field = RegisterMap.FIELDS.find(f => f.key === key);
+
+        return this.runExclusive(async () => {
+            if (!this.connected) throw new Error("Not connected");
+            Logger.info(`[${this.identifier}] Writing ${value} to register ${control.register}`);
+            await this.request(() => this.client.writeRegister(control.register, value));
+            this.eventEmitter.emit(Poller.EVENTS.Written, control.register, [value]);
+
+            if (field.writeOnly) {
+                return value;
+            }
+
+            const actual = (await this.readFields([field]))[key];
+            this.values[key] = actual;
+
+            return actual;
+        });
+    }
+
+    /**
+     * Merges the given changes into the schedule slot currently stored on the device
+     * and writes the slot as a whole after validating it
+     *
+     * @param {number} address first register of the slot
+     * @param {object} changes
+     * @returns {Promise<object>} the slot as read back after writing
+     */
+    async writeSchedule(address, changes) {
+        if (changes === null || typeof changes !== "object" || Array.isArray(changes)) {
+            throw new Error("Schedule must be a JSON object");
+        }
+
+        return this.runExclusive(async () => {
+            if (!this.connected) throw new Error("Not connected");
+
+            const current = Schedule.decode(await this.readBlock(address, Schedule.REGISTERS_PER_SLOT));
+            const schedule = Object.assign(current, changes);
+
+            Schedule.validate(schedule);
+
+            const values = Schedule.encode(schedule);
+            Logger.info(`[${this.identifier}] Writing [${values.join(", ")}] to registers starting at ${address}`);
+            await this.request(() => this.client.writeRegisters(address, values));
+            this.eventEmitter.emit(Poller.EVENTS.Written, address, values);
+
+            const buffer = await this.readBlock(address, Schedule.REGISTERS_PER_SLOT);
+            this.storeRegisters(address, [...Array(Schedule.REGISTERS_PER_SLOT).keys()].map(i => buffer.readUInt16BE(i * 2)));
+
+            return Schedule.decode(buffer);
+        });
+    }
+
+    /**
+     * Validates and executes a command for one of the CONTROLS, see CommandHandler.
+     * The result is also passed to the onCommandResult listeners.
+     *
+     * @param {string} key
+     * @param {string} payload
+     * @returns {Promise<object>} the command result
+     */
+    async executeCommand(key, payload) {
+        const outcome = await this.commandHandler.execute(key, payload);
+
+        this.eventEmitter.emit(Poller.EVENTS.CommandResult, outcome.result, outcome.state);
+
+        return outcome.result;
     }
 
     emitData(data) {
@@ -191,26 +749,116 @@ class Poller {
     onData(listener) {
         this.eventEmitter.on(Poller.EVENTS.Data, listener);
     }
+
+    /**
+     * @param {function(boolean): void} listener called whenever the Modbus connection is established or lost
+     */
+    onAvailability(listener) {
+        this.eventEmitter.on(Poller.EVENTS.Availability, listener);
+    }
+
+    /**
+     * @param {function(object): void} listener called with the diagnostics after every poll cycle
+     */
+    onDiagnostics(listener) {
+        this.eventEmitter.on(Poller.EVENTS.Diagnostics, listener);
+    }
+
+    /**
+     * @param {function(object): void} listener called whenever the BatteryAnalytics raise or clear a problem
+     */
+    onProblem(listener) {
+        this.eventEmitter.on(Poller.EVENTS.Problem, listener);
+    }
+
+    /**
+     * @param {function(object): void} listener called with the hardware whenever it was detected to have changed
+     */
+    onHardware(listener) {
+        this.eventEmitter.on(Poller.EVENTS.Hardware, listener);
+    }
+
+    /**
+     * @param {function(number, Buffer): void} listener called with the start address and the raw registers of every read
+     */
+    onRegisters(listener) {
+        this.eventEmitter.on(Poller.EVENTS.Registers, listener);
+    }
+
+    /**
+     * @param {function(number, Array<number>): void} listener called with the start address and the raw values of every write
+     */
+    onWritten(listener) {
+        this.eventEmitter.on(Poller.EVENTS.Written, listener);
+    }
+
+    /**
+     * @param {function(object, *): void} listener called with the result of every command and the raw value read back
+     */
+    onCommandResult(listener) {
+        this.eventEmitter.on(Poller.EVENTS.CommandResult, listener);
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value as emitted by the Poller
+     * @returns {*} the value as published, e.g. the option of a select. undefined for buttons
+     */
+    static formatValue(key, value) {
+        const control = Poller.CONTROLS[key];
+        const readOnly = Poller.READ_ONLY_LOOKUPS[key];
+        let payload = value;
+
+        if (control) {
+            if (control.type === "button") return undefined;
+
+            if (control.type === "select") {
+                if (control.map[value] !== undefined) {
+                    payload = control.map[value];
+                } else {
+                    Logger.warn(`Value ${value} for ${key} not found in control map`);
+                }
+            } else if (control.type === "switch") {
+                if (value === control.on) payload = "ON";
+                else if (value === control.off) payload = "OFF";
+                else payload = "UNKNOWN";
+            } else if (control.type === "schedule") {
+                payload = JSON.stringify(value);
+            }
+        } else if (readOnly) {
+            if (readOnly.map[value] !== undefined) {
+                payload = readOnly.map[value];
+            } else {
+                Logger.warn(`Value ${value} for ${key} not found in lookup map`);
+            }
+        }
+
+        return payload;
+    }
 }
 
-Poller.EVENTS = { Data: "Data" };
-
-Poller.CONTROLS = {
-    "user_work_mode": { register: 43000, type: "select", map: { 0: "Manual", 1: "Self Consumption", 2: "Trade" } },
-    "force_mode": { register: 42010, type: "select", map: { 0: "Stop", 1: "Charge", 2: "Discharge" } },
-    "backup_function": { register: 41200, type: "switch", on: 0, off: 1 },
-    "rs485_control_mode": { register: 42000, type: "switch", on: 21930, off: 21947 },
-    "set_charge_power": { register: 42020, type: "number" },
-    "set_discharge_power": { register: 42021, type: "number" },
-    "charge_to_soc": { register: 42011, type: "number" },
-    "reset_device": { register: 41000, type: "button", command: 21930 },
-    "factory_reset": { register: 41001, type: "button", command: 21930 }
-};
-
-Poller.READ_ONLY_LOOKUPS = {
-    "inverter_state": {
-        map: { 0: "Sleep", 1: "Standby", 2: "Charge", 3: "Discharge", 4: "Backup", 5: "OTA", 6: "Bypass" }
-    }
-};
+Poller.EVENTS = { Data: "Data", Availability: "Availability", Diagnostics: "Diagnostics", Problem: "Problem", CommandResult: "CommandResult", Registers: "Registers", Written: "Written", Hardware: "Hardware" };
+
+// See the tier of the RegisterMap fields
+Poller.TIERS = ["fast", "slow", "static"];
+
+// See the capability of the RegisterMap fields
+Poller.CAPABILITIES = Array.from(new Set(RegisterMap.FIELDS.filter(field => field.capability).map(field => field.capability)));
+// Options in ms
+Poller.INTERVAL_OPTIONS = ["interval", "slowInterval", "staticInterval", "fastModeInterval", "fastModeDuration", "reconnectDelay", "maxReconnectDelay", "deviceInfoInterval"];
+
+Poller.TRANSPORTS = ["tcp", "rtu", "rtu-over-tcp"];
+Poller.PARITIES = ["none", "even", "odd"];
+
+Poller.CONTROLS = {};
+Poller.READ_ONLY_LOOKUPS = {};
+
+RegisterMap.FIELDS.forEach(field => {
+    if (field.control) {
+        Poller.CONTROLS[field.key] = Object.assign({ register: field.address }, field.control);
+    } else if (field.lookup) {
+        Poller.READ_ONLY_LOOKUPS[field.key] = { map: field.lookup };
+    }
+});
 
 module.exports = Poller;
@@ -0,0 +1,52 @@
+/**
+ * Merges the register ranges of RegisterMap fields into as few Modbus read requests as possible.
+ *
+ * Two ranges are merged if at most maxGap unused registers lie between them and the merged request
+ * does not exceed maxLength registers. Reading unused registers is usually cheaper than another
+ * round trip, but firmwares may reject requests spanning unknown addresses, which fails the whole request.
+ * Hence, only adjacent ranges are merged unless a bigger maxGap is configured for a device known to allow it.
+ */
+class ReadPlanner {
+    /**
+     * @param {Array<object>} fields
+     * @param {object} [options]
+     * @param {number} [options.maxGap]
+     * @param {number} [options.maxLength]
+     * @returns {Array<{start: number, length: number, fields: Array<object>}>}
+     */
+    static plan(fields, options = {}) {
+        const maxGap = options.maxGap ?? ReadPlanner.DEFAULT_MAX_GAP;
+        const maxLength = options.maxLength ?? ReadPlanner.MAX_LENGTH;
+
+        const readable = fields
+            .filter(field => field.address !== undefined && !field.writeOnly)
+            .sort((a, b) => a.address - b.address);
+
+        const blocks = [];
+        let current = null;
+
+        readable.forEach(field => {
+            const end = field.address + field.length;
+
+            if (
+                current &&
+                field.address - (current.start + current.length) <= maxGap &&
+                end - current.start <= maxLength
+            ) {
+                current.length = Math.max(current.length, end - current.start);
+                current.fields.push(field);
+            } else {
+                current = { start: field.address, length: field.length, fields: [field] };
+                blocks.push(current);
+            }
+        });
+
+        return blocks;
+    }
+}
+
+ReadPlanner.DEFAULT_MAX_GAP = 0;
+// Maximum number of holding registers a single Modbus read may return
+ReadPlanner.MAX_LENGTH = 125;
+
+module.exports = ReadPlanner;
@@ -0,0 +1,383 @@
+const Schedule = require("./Schedule");
+
+/**
+ * Declarative description of every register marstek2mqtt knows about.
+ *
+ * A field has
+ * - key: name of the value in the data emitted by the Poller and of the MQTT topic
+ * - address, type (u16, i16, u32, i32, string) and for strings a length in registers
+ * - scale: factor the raw value is multiplied with
+ * - unit
+ * - deadband: how much the value has to change before it is published again, see MqttClient
+ * - group: "poll" is polled according to its tier, "accumulators" and "info" are read separately by the Poller,
+ *   "module" fields are read for each detected battery module, "analytics" are derived by the BatteryAnalytics,
+ *   "diagnostics" are tracked by the Poller itself
+ * - module, mppt: 1-based index of the battery module or MPPT input the field belongs to, see HardwareDetector
+ * - tier: how often "poll" and "module" fields are read, see Poller.TIERS. Defaults to "fast", which is read every cycle.
+ *   "slow" is meant for temperatures, cell voltages and settings, "static" for what hardly ever changes
+ * - capability: optional register block the field belongs to. Fields of blocks the device isn't known to support
+ *   are neither read nor announced, see Poller.probeCapabilities
+ * - plausible: min and max of valid readings, the rate in unit per second the value can change by at most and
+ *   whether it is a monotonic lifetime counter, see PlausibilityFilter
+ * - control: makes the field writable through Poller.CONTROLS. min, max and step of number controls are
+ *   enforced by the CommandGuard and announced to Home Assistant. dangerous buttons need to be confirmed
+ * - lookup: maps raw values of read-only fields to readable states
+ * - ha: Home Assistant discovery metadata. Fields without it are not announced. availability "bridge" keeps
+ *   an entity available while the device is unreachable
+ * - metric: name, help and labels of the Prometheus metric, see MetricsServer. Fields repeated per module, cell or
+ *   MPPT share one metric name and are told apart by their labels
+ *
+ * Fields without an address are derived by the Poller. writeOnly fields are never read.
+ */
+class RegisterMap {
+    /**
+     * @param {string} group
+     * @returns {Array<object>}
+     */
+    static getFields(group) {
+        return RegisterMap.FIELDS.filter(field => field.group === group);
+    }
+
+    /**
+     * @param {number} module 1-based index of the battery module
+     * @returns {Array<object>}
+     */
+    static getModuleFields(module) {
+        return RegisterMap.FIELDS.filter(field => field.group === "module" && field.module === module);
+    }
+
+    /**
+     * @param {{modules: number, mppts: Array<number>, capabilities: Object<string, boolean>}} hardware see Poller.getHardware
+     * @returns {Array<object>} the fields to announce, without those of absent modules, MPPT inputs and unsupported blocks.
+     *   The energy accumulators are always announced, as they are computed if the device doesn't have them
+     */
+    static getDiscoveryFields(hardware) {
+        return RegisterMap.FIELDS.filter(field => field.ha !== undefined && RegisterMap.isPresent(field, hardware));
+    }
+
+    /**
+     * @param {object} field
+     * @param {{modules: number, mppts: Array<number>, capabilities: Object<string, boolean>}} hardware see Poller.getHardware
+     * @returns {boolean} false if the field belongs to an absent module or MPPT input or to an unsupported block
+     */
+    static isPresent(field, hardware) {
+        return (field.module === undefined || field.module <= hardware.modules) &&
+            (field.mppt === undefined || hardware.mppts.includes(field.mppt)) &&
+            (field.capability === undefined || field.group === "accumulators" || hardware.capabilities[field.capability] === true);
+    }
+
+    /**
+     * Removes the values of fields that are not present (anymore), e.g. of a battery module that was removed
+     *
+     * @param {object} values by field key
+     * @param {{modules: number, mppts: Array<number>, capabilities: Object<string, boolean>}} hardware see Poller.getHardware
+     * @returns {object} values
+     */
+    static prune(values, hardware) {
+        Object.keys(values).forEach(key => {
+            const field = FIELDS_BY_KEY.get(key);
+
+            if (field !== undefined && !RegisterMap.isPresent(field, hardware)) {
+                delete values[key];
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * @param {object} field
+     * @param {Buffer} buffer exactly the registers of the field
+     * @returns {*}
+     */
+    static decode(field, buffer) {
+        if (typeof field.decode === "function") {
+            return field.decode(buffer);
+        }
+
+        let value;
+        switch (field.type) {
+            case "u16":
+                value = buffer.readUInt16BE(0);
+                break;
+            case "i16":
+                value = buffer.readInt16BE(0);
+                break;
+            case "u32":
+                value = buffer.readUInt32BE(0);
+                break;
+            case "i32":
+                value = buffer.readInt32BE(0);
+                break;
+            case "string":
+                return RegisterMap.decodeString(buffer);
+            default:
+                throw new Error(`Unknown register type '${field.type}' for ${field.key}`);
+        }
+
+        return field.scale !== undefined ? value * field.scale : value;
+    }
+
+    /**
+     * Inverse of decode
+     *
+     * @param {object} field
+     * @param {*} value
+     * @returns {Array<number>} the raw register values
+     */
+    static encode(field, value) {
+        if (typeof field.encode === "function") {
+            return field.encode(value);
+        }
+
+        const buffer = Buffer.alloc(field.length * 2);
+        const raw = field.type === "string" ? value : Math.round(value / (field.scale ?? 1));
+
+        switch (field.type) {
+            case "u16":
+                buffer.writeUInt16BE(raw, 0);
+                break;
+            case "i16":
+                buffer.writeInt16BE(raw, 0);
+                break;
+            case "u32":
+                buffer.writeUInt32BE(raw, 0);
+                break;
+            case "i32":
+                buffer.writeInt32BE(raw, 0);
+                break;
+            case "string":
+                buffer.write(raw, "ascii");
+                break;
+            default:
+                throw new Error(`Unknown register type '${field.type}' for ${field.key}`);
+        }
+
+        return Array.from({ length: field.length }, (_, i) => buffer.readUInt16BE(i * 2));
+    }
+
+    /**
+     * Strings are stored as two ASCII characters per register, padded with NUL bytes
+     *
+     * @param {Buffer} buffer
+     * @returns {string}
+     */
+    static decodeString(buffer) {
+        return buffer.toString("ascii").replace(/\0/g, "").trim();
+    }
+
+    /**
+     * @param {string} raw e.g. "A1B2C3D4E5F6"
+     * @returns {string} e.g. "a1:b2:c3:d4:e5:f6", or the input if it doesn't look like a MAC
+     */
+    static formatMac(raw) {
+        if (!/^[0-9a-fA-F]{12}$/.test(raw)) {
+            return raw;
+        }
+
+        return raw.toLowerCase().match(/.{2}/g).join(":");
+    }
+}
+
+RegisterMap.TYPE_LENGTHS = Object.freeze({ "u16": 1, "i16": 1, "u32": 2, "i32": 2 });
+RegisterMap.MPPT_COUNT = 4;
+RegisterMap.MAX_MODULES = 6;
+RegisterMap.CELLS_PER_MODULE = 13;
+
+const fields = [
+    { key: "battery_power", group: "poll", address: 30001, type: "i16", unit: "W", deadband: 5, plausible: { min: -6000, max: 6000 }, ha: { name: "Battery Power", device_class: "power", state_class: "measurement", precision: 0 } },
+    { key: "ac_power", group: "poll", address: 30006, type: "i16", unit: "W", deadband: 5, plausible: { min: -6000, max: 6000 }, ha: { name: "AC Power", device_class: "power", state_class: "measurement", precision: 0 } },
+    { key: "battery_voltage", group: "poll", address: 30100, type: "u16", scale: 0.01, unit: "V", plausible: { min: 20, max: 70 }, ha: { name: "Battery Voltage", device_class: "voltage", state_class: "measurement", precision: 3 } },
+    { key: "battery_current", group: "poll", address: 30101, type: "i16", scale: 0.1, unit: "A", ha: { name: "Battery Current", device_class: "current", state_class: "measurement", precision: 3 } },
+    { key: "soc", group: "poll", address: 32104, type: "u16", unit: "%", plausible: { min: 0, max: 100, rate: 0.5 }, ha: { name: "State of Charge", device_class: "battery", state_class: "measurement", precision: 2 } },
+    { key: "battery_design_capacity", group: "poll", tier: "static", address: 32105, type: "u16", scale: 0.001, unit: "kWh", ha: { name: "Design Capacity", state_class: "measurement", precision: 3, enabled_by_default: false } },
+    // Only used to know how many battery modules to read
+    { key: "module_count", group: "poll", tier: "slow", address: 32109, type: "u16" },
+    { key: "remaining_energy", unit: "kWh", ha: { name: "Remaining Energy", device_class: "energy_storage", state_class: "measurement", precision: 2 } },
+
+    { key: "ac_voltage", group: "poll", address: 32200, type: "u16", scale: 0.1, unit: "V", plausible: { min: 0, max: 300 }, ha: { name: "AC Voltage", device_class: "voltage", state_class: "measurement", precision: 3 } },
+    { key: "ac_frequency", group: "poll", address: 32204, type: "i16", scale: 0.1, unit: "Hz", plausible: { min: 0, max: 70 }, ha: { name: "AC Frequency", device_class: "frequency", state_class: "measurement", precision: 2 } },
+    { key: "ac_current", group: "poll", address: 37004, type: "i16", scale: 0.004, unit: "A", ha: { name: "AC Current", device_class: "current", state_class: "measurement", precision: 3 } },
+
+    // Backup port. Not every firmware has these, see capability
+    { key: "ac_offgrid_voltage", group: "poll", capability: "offgrid", address: 32300, type: "u16", scale: 0.1, unit: "V", plausible: { min: 0, max: 300 }, ha: { name: "Off-Grid Voltage", device_class: "voltage", state_class: "measurement", precision: 1 } },
+    { key: "ac_offgrid_current", group: "poll", capability: "offgrid", address: 32301, type: "u16", scale: 0.01, unit: "A", ha: { name: "Off-Grid Current", device_class: "current", state_class: "measurement", precision: 2 } },
+    { key: "ac_offgrid_power", group: "poll", capability: "offgrid", address: 32302, type: "i32", unit: "W", deadband: 5, plausible: { min: -6000, max: 6000 }, ha: { name: "Off-Grid Power", device_class: "power", state_class: "measurement", precision: 0 } },
+
+    { key: "total_energy_in", group: "poll", tier: "slow", address: 33000, type: "u32", scale: 0.01, unit: "kWh", plausible: { min: 0, rate: 0.01, monotonic: true }, metric: { name: "energy_in" }, ha: { name: "Total Energy In", device_class: "energy", state_class: "total_increasing", precision: 3 } },
+    { key: "total_energy_out", group: "poll", tier: "slow", address: 33002, type: "i32", scale: 0.01, unit: "kWh", plausible: { min: 0, rate: 0.01, monotonic: true }, metric: { name: "energy_out" }, ha: { name: "Total Energy Out", device_class: "energy", state_class: "total_increasing", precision: 3 } },
+    { key: "daily_energy_in", group: "accumulators", capability: "accumulators", address: 33004, type: "u32", scale: 0.01, unit: "kWh", ha: { name: "Daily Energy In", device_class: "energy", state_class: "total_increasing", precision: 3 } },
+    { key: "daily_energy_out", group: "accumulators", capability: "accumulators", address: 33006, type: "u32", scale: 0.01, unit: "kWh", ha: { name: "Daily Energy Out", device_class: "energy", state_class: "total_increasing", precision: 3 } },
+    { key: "monthly_energy_in", group: "accumulators", capability: "accumulators", address: 33008, type: "u32", scale: 0.01, unit: "kWh", ha: { name: "Monthly Energy In", device_class: "energy", state_class: "total_increasing", precision: 3 } },
+    { key: "monthly_energy_out", group: "accumulators", capability: "accumulators", address: 33010, type: "u32", scale: 0.01, unit: "kWh", ha: { name: "Monthly Energy Out", device_class: "energy", state_class: "total_increasing", precision: 3 } },
+
+    { key: "internal_temperature", group: "poll", tier: "slow", address: 35000, type: "i16", scale: 0.1, unit: "°C", plausible: { min: -40, max: 120 }, ha: { name: "Internal Temp", device_class: "temperature", state_class: "measurement", precision: 1 } },
+    { key: "internal_mos1_temperature", group: "poll", tier: "slow", address: 35001, type: "i16", scale: 0.1, unit: "°C", plausible: { min: -40, max: 120 }, ha: { name: "Internal MOS1 Temp", device_class: "temperature", state_class: "measurement", precision: 1 } },
+    { key: "internal_mos2_temperature", group: "poll", tier: "slow", address: 35002, type: "i16", scale: 0.1, unit: "°C", plausible: { min: -40, max: 120 }, ha: { name: "Internal MOS2 Temp", device_class: "temperature", state_class: "measurement", precision: 1 } },
+    { key: "max_cell_temperature", group: "poll", tier: "slow", address: 35010, type: "i16", scale: 0.1, unit: "°C", plausible: { min: -40, max: 120 }, ha: { name: "Max Cell Temp", device_class: "temperature", state_class: "measurement", precision: 1 } },
+    { key: "min_cell_temperature", group: "poll", tier: "slow", address: 35011, type: "i16", scale: 0.1, unit: "°C", plausible: { min: -40, max: 120 }, ha: { name: "Min Cell Temp", device_class: "temperature", state_class: "measurement", precision: 1 } },
+
+    { key: "max_cell_voltage", group: "poll", tier: "slow", address: 37007, type: "u16", scale: 0.001, unit: "V", deadband: 0.005, plausible: { min: 1.5, max: 4.5 }, ha: { name: "Max Cell Voltage", device_class: "voltage", state_class: "measurement", precision: 3, entity_category: "diagnostic" } },
+    { key: "min_cell_voltage", group: "poll", tier: "slow", address: 37008, type: "u16", scale: 0.001, unit: "V", deadband: 0.005, plausible: { min: 1.5, max: 4.5 }, ha: { name: "Min Cell Voltage", device_class: "voltage", state_class: "measurement", precision: 3, entity_category: "diagnostic" } },
+
+    {
+        key: "inverter_state", group: "poll", address: 35100, type: "u16",
+        lookup: { 0: "Sleep", 1: "Standby", 2: "Charge", 3: "Discharge", 4: "Backup", 5: "OTA", 6: "Bypass" },
+        ha: { name: "Inverter State" }
+    },
+
+    {
+        key: "set_charge_power", group: "poll", tier: "slow", address: 42020, type: "u16", unit: "W",
+        control: { type: "number", min: 0, max: 2500, step: 50 },
+        ha: { component: "number", name: "Set Charge Power", enabled_by_default: false }
+    },
+    {
+        key: "set_discharge_power", group: "poll", tier: "slow", address: 42021, type: "u16", unit: "W",
+        control: { type: "number", min: 0, max: 2500, step: 50 },
+        ha: { component: "number", name: "Set Discharge Power", enabled_by_default: false }
+    },
+    {
+        key: "charge_to_soc", group: "poll", tier: "slow", address: 42011, type: "u16", unit: "%",
+        control: { type: "number", min: 10, max: 100, step: 1 },
+        ha: { component: "number", name: "Charge to SOC", enabled_by_default: false }
+    },
+    {
+        key: "user_work_mode", group: "poll", tier: "slow", address: 43000, type: "u16",
+        control: { type: "select", map: { 0: "Manual", 1: "Self Consumption", 2: "Trade" } },
+        ha: { component: "select", name: "User Work Mode" }
+    },
+    {
+        key: "force_mode", group: "poll", tier: "slow", address: 42010, type: "u16",
+        control: { type: "select", map: { 0: "Stop", 1: "Charge", 2: "Discharge" } },
+        ha: { component: "select", name: "Force Mode", enabled_by_default: false }
+    },
+    {
+        key: "backup_function", group: "poll", tier: "slow", address: 41200, type: "u16",
+        control: { type: "switch", on: 0, off: 1 },
+        ha: { component: "switch", name: "Backup Function" }
+    },
+    {
+        key: "rs485_control_mode", group: "poll", tier: "slow", address: 42000, type: "u16",
+        control: { type: "switch", on: 21930, off: 21947 },
+        ha: { component: "switch", name: "RS485 Control Mode", enabled_by_default: false }
+    },
+    {
+        key: "reset_device", address: 41000, type: "u16", writeOnly: true,
+        control: { type: "button", command: 21930, dangerous: true },
+        ha: { component: "button", name: "Reset Device", enabled_by_default: false }
+    },
+    {
+        key: "factory_reset", address: 41001, type: "u16", writeOnly: true,
+        control: { type: "button", command: 21930, dangerous: true },
+        ha: { component: "button", name: "Factory Reset", enabled_by_default: false }
+    },
+
+    { key: "device_name", group: "info", address: 31000, type: "string", length: 10 },
+    { key: "ems_version", group: "info", address: 30202, type: "u16" },
+    { key: "vms_version", group: "info", address: 30203, type: "u16" },
+    { key: "bms_version", group: "info", address: 30204, type: "u16" },
+    {
+        key: "comm_version", group: "info", address: 30350, type: "string", length: 6,
+        ha: { name: "Communication Module Version", entity_category: "diagnostic" }
+    },
+    {
+        key: "wifi_status", group: "info", address: 30300, type: "u16",
+        lookup: { 0: "Disconnected", 1: "Connected" },
+        ha: { name: "WiFi Status", entity_category: "diagnostic" }
+    },
+    {
+        key: "cloud_status", group: "info", address: 30302, type: "u16",
+        lookup: { 0: "Disconnected", 1: "Connected" },
+        ha: { name: "Cloud Status", entity_category: "diagnostic" }
+    },
+    { key: "wifi_signal", group: "info", address: 30303, type: "i16", unit: "dBm", ha: { name: "WiFi Signal", device_class: "signal_strength", state_class: "measurement", precision: 0, entity_category: "diagnostic" } },
+    {
+        key: "mac_address", group: "info", address: 30304, type: "string", length: 6,
+        decode: buffer => RegisterMap.formatMac(RegisterMap.decodeString(buffer)),
+        encode: mac => RegisterMap.encode({ type: "string", length: 6 }, mac.replace(/:/g, "").toUpperCase())
+    },
+
+    // Derived by the BatteryAnalytics
+    { key: "cell_voltage_spread", group: "analytics", unit: "V", deadband: 0.002, ha: { name: "Cell Voltage Spread", device_class: "voltage", state_class: "measurement", precision: 3, entity_category: "diagnostic" } },
+    { key: "weakest_cell", group: "analytics", ha: { name: "Weakest Cell", entity_category: "diagnostic" } },
+    { key: "soc_divergence", group: "analytics", unit: "%", ha: { name: "SoC Divergence", state_class: "measurement", precision: 1, entity_category: "diagnostic" } },
+    { key: "round_trip_efficiency", group: "analytics", unit: "%", ha: { name: "Round-Trip Efficiency", state_class: "measurement", precision: 1, entity_category: "diagnostic" } },
+    { key: "estimated_capacity", group: "analytics", unit: "kWh", ha: { name: "Estimated Capacity", device_class: "energy_storage", state_class: "measurement", precision: 2, entity_category: "diagnostic" } },
+    { key: "capacity_health", group: "analytics", unit: "%", ha: { name: "Capacity Health", state_class: "measurement", precision: 1, entity_category: "diagnostic" } },
+    { key: "battery_problem", group: "analytics", ha: { component: "binary_sensor", name: "Battery Problem", device_class: "problem" } },
+
+    // Health of the Modbus connection. These stay available while the device is unreachable
+    { key: "last_poll", group: "diagnostics", ha: { name: "Last Successful Poll", device_class: "timestamp", entity_category: "diagnostic", availability: "bridge" } },
+    { key: "poll_duration", group: "diagnostics", unit: "ms", ha: { name: "Poll Duration", device_class: "duration", state_class: "measurement", precision: 0, entity_category: "diagnostic", availability: "bridge" } },
+    { key: "consecutive_failures", group: "diagnostics", ha: { name: "Consecutive Poll Failures", state_class: "measurement", precision: 0, entity_category: "diagnostic", availability: "bridge" } },
+    { key: "reconnects", group: "diagnostics", ha: { name: "Modbus Reconnects", state_class: "total_increasing", precision: 0, entity_category: "diagnostic", availability: "bridge" } },
+    { key: "modbus_errors", group: "diagnostics", ha: { name: "Modbus Errors", state_class: "total_increasing", precision: 0, entity_category: "diagnostic", availability: "bridge" } },
+    { key: "rejected_samples", group: "diagnostics", ha: { name: "Rejected Samples", state_class: "total_increasing", precision: 0, entity_category: "diagnostic", availability: "bridge" } },
+    { key: "capabilities", group: "diagnostics", ha: { name: "Supported Register Blocks", entity_category: "diagnostic", availability: "bridge" } }
+];
+
+for (let i = 1; i <= RegisterMap.MPPT_COUNT; i++) {
+    fields.push(
+        { key: `mppt${i}_voltage`, group: "poll", mppt: i, address: 30020 + (i - 1), type: "u16", scale: 0.1, unit: "V", metric: { name: "mppt_voltage", help: "MPPT Voltage", labels: { mppt: i } }, ha: { name: `MPPT ${i} Voltage`, device_class: "voltage", state_class: "measurement", precision: 3 } },
+        { key: `mppt${i}_current`, group: "poll", mppt: i, address: 30024 + (i - 1), type: "u16", scale: 0.1, unit: "A", metric: { name: "mppt_current", help: "MPPT Current", labels: { mppt: i } }, ha: { name: `MPPT ${i} Current`, device_class: "current", state_class: "measurement", precision: 3 } },
+        { key: `mppt${i}_power`, group: "poll", mppt: i, address: 30037 + (i - 1), type: "u16", scale: 0.1, unit: "W", deadband: 5, metric: { name: "mppt_power", help: "MPPT Power", labels: { mppt: i } }, ha: { name: `MPPT ${i} Power`, device_class: "power", state_class: "measurement", precision: 0 } }
+    );
+}
+
+for (let i = 1; i <= Schedule.COUNT; i++) {
+    fields.push({
+        key: `schedule_${i}`, group: "poll", tier: "static",
+        address: Schedule.REGISTER_BASE + (i - 1) * Schedule.REGISTERS_PER_SLOT,
+        type: "schedule", length: Schedule.REGISTERS_PER_SLOT,
+        decode: Schedule.decode,
+        encode: Schedule.encode,
+        control: { type: "schedule" },
+        ha: {
+            component: "switch",
+            name: `Schedule ${i}`,
+            enabled_by_default: false,
+            value_template: "{{ 'ON' if value_json.enabled else 'OFF' }}",
+            payload_on: JSON.stringify({ enabled: true }),
+            payload_off: JSON.stringify({ enabled: false }),
+            state_on: "ON",
+            state_off: "OFF"
+        }
+    });
+}
+
+for (let b = 1; b <= RegisterMap.MAX_MODULES; b++) {
+    const base = 34000 + (b - 1) * 100;
+
+    fields.push({
+        key: `battery_${b}_soc`, group: "module", capability: "modules", module: b,
+        address: base + 2, type: "u16", scale: 0.1, unit: "%", plausible: { min: 0, max: 100, rate: 0.5 },
+        metric: { name: "module_soc", help: "Battery Module SOC", labels: { module: b } },
+        ha: { name: `Battery ${b} SOC`, device_class: "battery", state_class: "measurement", precision: 2 }
+    });
+    fields.push({
+        key: `battery_${b}_cell_voltage_spread`, group: "analytics", module: b, unit: "V", deadband: 0.002,
+        metric: { name: "module_cell_voltage_spread", help: "Battery Module Cell Voltage Spread", labels: { module: b } },
+        ha: { name: `Battery ${b} Cell Voltage Spread`, device_class: "voltage", state_class: "measurement", precision: 3, entity_category: "diagnostic" }
+    });
+
+    for (let c = 1; c <= RegisterMap.CELLS_PER_MODULE; c++) {
+        fields.push({
+            key: `battery_${b}_cell_${c}_voltage`, group: "module", capability: "modules", module: b, tier: "slow",
+            address: base + 18 + (c - 1), type: "i16", scale: 0.001, unit: "V", deadband: 0.005, plausible: { min: 1.5, max: 4.5 },
+            metric: { name: "cell_voltage", help: "Cell Voltage", labels: { module: b, cell: c } },
+            ha: { name: `Battery ${b} Cell ${c} Voltage`, device_class: "voltage", state_class: "measurement", precision: 3, enabled_by_default: false, entity_category: "diagnostic" }
+        });
+    }
+}
+
+fields.forEach(field => {
+    if (field.length === undefined) {
+        field.length = RegisterMap.TYPE_LENGTHS[field.type];
+    }
+});
+
+RegisterMap.FIELDS = fields;
+
+const FIELDS_BY_KEY = new Map(fields.map(field => [field.key, field]));
+
+module.exports = RegisterMap;
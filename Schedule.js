@@ -0,0 +1,108 @@
+/**
+ * One of the six time-based schedule slots at 43100 - 43129.
+ *
+ * Each slot occupies 5 registers: days (bitmask, bit 0 = Monday), start, end, mode, enabled.
+ * Times are stored as hour in the high byte and minute in the low byte.
+ */
+class Schedule {
+    /**
+     * @param {Buffer} buffer the 5 registers of one slot
+     * @returns {{days: Array<string>, start: string, end: string, mode: number, enabled: boolean}}
+     */
+    static decode(buffer) {
+        const dayMask = buffer.readUInt16BE(0);
+
+        return {
+            days: Schedule.DAYS.filter((day, i) => (dayMask & (1 << i)) !== 0),
+            start: Schedule.decodeTime(buffer.readUInt16BE(2)),
+            end: Schedule.decodeTime(buffer.readUInt16BE(4)),
+            mode: buffer.readUInt16BE(6),
+            enabled: buffer.readUInt16BE(8) === 1
+        };
+    }
+
+    /**
+     * @param {{days: Array<string>, start: string, end: string, mode: number, enabled: boolean}} schedule
+     * @returns {Array<number>} the 5 register values of the slot
+     */
+    static encode(schedule) {
+        const dayMask = schedule.days.reduce((mask, day) => {
+            return mask | (1 << Schedule.DAYS.indexOf(day));
+        }, 0);
+
+        return [
+            dayMask,
+            Schedule.encodeTime(schedule.start),
+            Schedule.encodeTime(schedule.end),
+            schedule.mode,
+            schedule.enabled ? 1 : 0
+        ];
+    }
+
+    /**
+     * Throws if anything about the schedule is invalid so that nothing is written to the device
+     *
+     * @param {object} schedule
+     */
+    static validate(schedule) {
+        if (schedule === null || typeof schedule !== "object" || Array.isArray(schedule)) {
+            throw new Error("Schedule must be a JSON object");
+        }
+
+        const unknownKeys = Object.keys(schedule).filter(key => !Schedule.KEYS.includes(key));
+        if (unknownKeys.length > 0) {
+            throw new Error(`Unknown schedule keys: ${unknownKeys.join(", ")}`);
+        }
+
+        if (!Array.isArray(schedule.days) || !schedule.days.every(day => Schedule.DAYS.includes(day))) {
+            throw new Error(`days must be an array of ${Schedule.DAYS.join(", ")}`);
+        }
+        if (new Set(schedule.days).size !== schedule.days.length) {
+            throw new Error("days must not contain duplicates");
+        }
+
+        ["start", "end"].forEach(key => {
+            if (typeof schedule[key] !== "string" || !Schedule.TIME_REGEX.test(schedule[key])) {
+                throw new Error(`${key} must be a time in HH:MM format`);
+            }
+        });
+
+        if (!Number.isInteger(schedule.mode) || schedule.mode < 0 || schedule.mode > 0xFFFF) {
+            throw new Error("mode must be an integer between 0 and 65535");
+        }
+
+        if (typeof schedule.enabled !== "boolean") {
+            throw new Error("enabled must be true or false");
+        }
+    }
+
+    /**
+     * @param {number} value
+     * @returns {string}
+     */
+    static decodeTime(value) {
+        const hours = (value >> 8) & 0xFF;
+        const minutes = value & 0xFF;
+
+        return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+    }
+
+    /**
+     * @param {string} time
+     * @returns {number}
+     */
+    static encodeTime(time) {
+        const [hours, minutes] = time.split(":").map(Number);
+
+        return (hours << 8) | minutes;
+    }
+}
+
+Schedule.COUNT = 6;
+Schedule.REGISTER_BASE = 43100;
+Schedule.REGISTERS_PER_SLOT = 5;
+Schedule.DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+Schedule.KEYS = ["days", "start", "end", "mode", "enabled"];
+Schedule.TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+module.exports = Schedule;
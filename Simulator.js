@@ -0,0 +1,462 @@
+const ModbusRTU = require("modbus-serial");
+const crc16 = require("modbus-serial/utils/crc16");
+const net = require("net");
+const Logger = require("./Logger");
+const RegisterMap = require("./RegisterMap");
+
+/**
+ * Modbus server that serves the register layout of the RegisterMap with values of a simulated Venus.
+ * It speaks Modbus TCP, RTU on a serial device (e.g. one end of a pty pair created with socat)
+ * or RTU frames over TCP like a transparent RS485-to-TCP gateway.
+ *
+ * Battery and AC power are positive while discharging and negative while charging.
+ * Writes to control registers change the behavior just like on the real device:
+ * In RS485 control mode, force_mode and the charge/discharge power registers are followed.
+ * Otherwise, "Self Consumption" discharges into a fluctuating household load and everything else idles.
+ *
+ * Faults can be injected to exercise the error handling of the Poller:
+ * - timeoutRate: share of requests that are never answered
+ * - exceptionRate: share of requests answered with exceptionCode
+ * - failingModule: battery module whose registers stop answering after failingModuleAfter ms
+ */
+class Simulator {
+    /**
+     * @param {object} [options]
+     * @param {"tcp"|"rtu"|"rtu-over-tcp"} [options.transport]
+     * @param {string} [options.host]
+     * @param {number} [options.port]
+     * @param {string} [options.serialPort] device to serve RTU on
+     * @param {number} [options.baudRate]
+     * @param {number} [options.unitId]
+     * @param {number} [options.moduleCount]
+     * @param {number} [options.moduleCapacity] kWh
+     * @param {number} [options.soc] initial state of charge
+     * @param {number} [options.tickInterval] ms between two simulation steps
+     * @param {number} [options.timeoutRate]
+     * @param {number} [options.exceptionRate]
+     * @param {number} [options.exceptionCode]
+     * @param {number} [options.failingModule]
+     * @param {number} [options.failingModuleAfter]
+     */
+    constructor(options = {}) {
+        this.transport = options.transport ?? "tcp";
+        this.host = options.host ?? "0.0.0.0";
+        this.port = options.port ?? 5020;
+        this.serialPort = options.serialPort;
+        this.baudRate = options.baudRate ?? 115200;
+        this.unitId = options.unitId ?? 1;
+        this.moduleCount = Math.min(options.moduleCount ?? 2, RegisterMap.MAX_MODULES);
+        this.moduleCapacity = options.moduleCapacity ?? 2.56;
+        this.tickInterval = options.tickInterval ?? 1000;
+
+        this.faults = {
+            timeoutRate: options.timeoutRate ?? 0,
+            exceptionRate: options.exceptionRate ?? 0,
+            exceptionCode: options.exceptionCode ?? 0x04,
+            failingModule: options.failingModule ?? null,
+            failingModuleAfter: options.failingModuleAfter ?? 0
+        };
+
+        this.registers = new Map();
+        this.fields = new Map(RegisterMap.FIELDS.map(field => [field.key, field]));
+
+        this.startTimestamp = Date.now();
+        this.soc = options.soc ?? 50;
+        this.totalIn = 0;
+        this.totalOut = 0;
+        this.dayIn = 0;
+        this.dayOut = 0;
+
+        // Static per-module and per-cell deviations so that the values look like a real pack
+        this.moduleOffsets = Array.from({ length: this.moduleCount }, () => (Math.random() - 0.5));
+        this.cellOffsets = Array.from({ length: this.moduleCount }, () => {
+            return Array.from({ length: RegisterMap.CELLS_PER_MODULE }, () => (Math.random() - 0.5) * 0.01);
+        });
+
+        this.initializeRegisters();
+    }
+
+    async start() {
+        const vector = {
+            getHoldingRegister: (address, unitId, callback) => {
+                this.handleRead(address, 1, (err, values) => callback(err, values && values[0]));
+            },
+            getMultipleHoldingRegisters: (address, length, unitId, callback) => {
+                this.handleRead(address, length, callback);
+            },
+            setRegister: (address, value, unitId, callback) => {
+                this.handleWrite(address, [value], callback);
+            },
+            setRegisterArray: (address, values, unitId, callback) => {
+                this.handleWrite(address, values, callback);
+            }
+        };
+
+        if (this.transport === "rtu-over-tcp") {
+            await this.startRtuOverTcp();
+        } else {
+            if (this.transport === "rtu") {
+                this.server = new ModbusRTU.ServerSerial(vector, { path: this.serialPort, baudRate: this.baudRate, unitID: this.unitId });
+            } else {
+                this.server = new ModbusRTU.ServerTCP(vector, { host: this.host, port: this.port, unitID: this.unitId });
+            }
+
+            this.server.on("socketError", (err) => {
+                Logger.warn("Simulator socket error", err.message);
+            });
+
+            await new Promise((resolve, reject) => {
+                this.server.once("initialized", resolve);
+                this.server.once("serverError", reject);
+            });
+        }
+
+        let lastTick = Date.now();
+        this.tickTimer = setInterval(() => {
+            const now = Date.now();
+            this.tick((now - lastTick) / 1000);
+            lastTick = now;
+        }, this.tickInterval);
+
+        const endpoint = this.transport === "rtu" ? `${this.serialPort}@${this.baudRate}` : `${this.host}:${this.port}`;
+        Logger.info(`Simulating a Venus with ${this.moduleCount} modules via ${this.transport} on ${endpoint} ID:${this.unitId}`);
+    }
+
+    /**
+     * Serves raw RTU frames (unit ID, PDU, CRC) over TCP. Supports what the Poller uses:
+     * read holding registers (3), write single register (6) and write multiple registers (16)
+     */
+    async startRtuOverTcp() {
+        this.sockets = new Set();
+        this.server = net.createServer(socket => {
+            let buffer = Buffer.alloc(0);
+
+            this.sockets.add(socket);
+            socket.on("close", () => this.sockets.delete(socket));
+
+            socket.on("data", data => {
+                buffer = Buffer.concat([buffer, data]);
+
+                let length;
+                while ((length = getRtuFrameLength(buffer)) !== null && buffer.length >= length) {
+                    const frame = buffer.subarray(0, length);
+                    buffer = buffer.subarray(length);
+
+                    this.handleRtuFrame(frame, response => socket.write(response));
+                }
+            });
+            socket.on("error", (err) => {
+                Logger.warn("Simulator socket error", err.message);
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        this.port = this.server.address().port;
+    }
+
+    /**
+     * @param {Buffer} frame
+     * @param {function(Buffer): void} respond
+     */
+    handleRtuFrame(frame, respond) {
+        const unitId = frame[0];
+        const functionCode = frame[1];
+
+        if (frame.readUInt16LE(frame.length - 2) !== crc16(frame.subarray(0, -2)) || unitId !== this.unitId) {
+            // Like on a bus, corrupted frames and those for other units are not answered
+            return;
+        }
+
+        const reply = (err, pdu) => {
+            respond(withCrc(err ? Buffer.from([unitId, functionCode | 0x80, err.modbusErrorCode]) : Buffer.concat([Buffer.from([unitId]), pdu])));
+        };
+        const address = frame.readUInt16BE(2);
+
+        switch (functionCode) {
+            case 0x03:
+                this.handleRead(address, frame.readUInt16BE(4), (err, values) => {
+                    if (err) {
+                        reply(err);
+                        return;
+                    }
+
+                    const pdu = Buffer.alloc(2 + values.length * 2);
+                    pdu.writeUInt8(functionCode, 0);
+                    pdu.writeUInt8(values.length * 2, 1);
+                    values.forEach((value, i) => pdu.writeUInt16BE(value, 2 + i * 2));
+                    reply(null, pdu);
+                });
+                break;
+            case 0x06:
+                this.handleWrite(address, [frame.readUInt16BE(4)], err => reply(err, frame.subarray(1, 6)));
+                break;
+            case 0x10: {
+                const values = [];
+                for (let i = 0; i < frame.readUInt16BE(4); i++) {
+                    values.push(frame.readUInt16BE(7 + i * 2));
+                }
+
+                this.handleWrite(address, values, err => reply(err, frame.subarray(1, 6)));
+                break;
+            }
+            default:
+                reply({ modbusErrorCode: 0x01 });
+        }
+    }
+
+    async stop() {
+        clearInterval(this.tickTimer);
+
+        if (this.sockets) {
+            this.sockets.forEach(socket => socket.destroy());
+        }
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+        }
+    }
+
+    initializeRegisters() {
+        this.setValue("device_name", "VNSE3-0");
+        this.setValue("ems_version", 147);
+        this.setValue("vms_version", 140);
+        this.setValue("bms_version", 213);
+        this.setValue("comm_version", "202409090159");
+        this.setValue("mac_address", "02:00:00:5e:10:01");
+        this.setValue("wifi_status", 1);
+        this.setValue("cloud_status", 1);
+
+        this.setValue("battery_design_capacity", this.moduleCapacity * this.moduleCount);
+        this.setValue("module_count", this.moduleCount);
+
+        this.setValue("user_work_mode", 1);
+        this.setValue("force_mode", 0);
+        this.setValue("charge_to_soc", 100);
+        this.setValue("set_charge_power", 0);
+        this.setValue("set_discharge_power", 0);
+        this.setValue("backup_function", 0);
+        this.setValue("rs485_control_mode", 21947);
+
+        this.tick(0);
+    }
+
+    /**
+     * Advances the simulation
+     *
+     * @param {number} seconds since the last step
+     */
+    tick(seconds) {
+        const controls = {
+            forceMode: this.getValue("force_mode"),
+            chargePower: this.getValue("set_charge_power"),
+            dischargePower: this.getValue("set_discharge_power"),
+            chargeToSoc: this.getValue("charge_to_soc"),
+            rs485: this.getValue("rs485_control_mode") === 21930,
+            userWorkMode: this.getValue("user_work_mode")
+        };
+        const uptime = (Date.now() - this.startTimestamp) / 1000;
+
+        let power = 0;
+        if (controls.rs485) {
+            if (controls.forceMode === 1 && this.soc < controls.chargeToSoc) {
+                power = -controls.chargePower;
+            } else if (controls.forceMode === 2) {
+                power = controls.dischargePower;
+            }
+        } else if (controls.userWorkMode === 1) {
+            power = 300 + 200 * Math.sin(uptime / 600 * 2 * Math.PI) + (Math.random() - 0.5) * 40;
+        }
+
+        power = Math.max(-2500, Math.min(2500, power));
+        if ((power > 0 && this.soc <= Simulator.MIN_SOC) || (power < 0 && this.soc >= 100)) {
+            power = 0;
+        }
+        power = Math.round(power);
+
+        const energy = power * seconds / 3600 / 1000;
+        const capacity = this.moduleCapacity * this.moduleCount;
+
+        this.soc = Math.max(0, Math.min(100, this.soc - energy / capacity * 100));
+        if (energy < 0) {
+            this.totalIn += -energy;
+            this.dayIn += -energy;
+        } else {
+            this.totalOut += energy;
+            this.dayOut += energy;
+        }
+
+        const cellVoltages = [];
+        for (let m = 1; m <= this.moduleCount; m++) {
+            const moduleSoc = Math.max(0, Math.min(100, this.soc + this.moduleOffsets[m - 1]));
+            this.setValue(`battery_${m}_soc`, moduleSoc);
+
+            for (let c = 1; c <= RegisterMap.CELLS_PER_MODULE; c++) {
+                // Roughly the flat LFP curve plus a little sag or rise under load
+                const voltage = 3.0 + moduleSoc * 0.0035 - power / 2500 * 0.03 + this.cellOffsets[m - 1][c - 1];
+                cellVoltages.push(voltage);
+                this.setValue(`battery_${m}_cell_${c}_voltage`, voltage);
+            }
+        }
+
+        const batteryVoltage = cellVoltages.reduce((sum, v) => sum + v, 0) / this.moduleCount;
+        const acVoltage = 230 + (Math.random() - 0.5) * 4;
+        const acPower = Math.round(power > 0 ? power * 0.95 : power / 0.95);
+        const temperature = 25 + Math.abs(power) / 2500 * 10;
+
+        this.setValue("battery_power", power);
+        this.setValue("ac_power", acPower);
+        this.setValue("battery_voltage", batteryVoltage);
+        this.setValue("battery_current", power / batteryVoltage);
+        this.setValue("soc", Math.round(this.soc));
+        this.setValue("ac_voltage", acVoltage);
+        this.setValue("ac_frequency", 50 + (Math.random() - 0.5) * 0.1);
+        this.setValue("ac_current", Math.abs(acPower) / acVoltage);
+        this.setValue("max_cell_voltage", Math.max(...cellVoltages));
+        this.setValue("min_cell_voltage", Math.min(...cellVoltages));
+
+        this.setValue("total_energy_in", this.totalIn);
+        this.setValue("total_energy_out", this.totalOut);
+        this.setValue("daily_energy_in", this.dayIn);
+        this.setValue("daily_energy_out", this.dayOut);
+        this.setValue("monthly_energy_in", this.dayIn);
+        this.setValue("monthly_energy_out", this.dayOut);
+
+        this.setValue("internal_temperature", temperature);
+        this.setValue("internal_mos1_temperature", temperature + 2);
+        this.setValue("internal_mos2_temperature", temperature + 1.5);
+        this.setValue("max_cell_temperature", temperature - 2);
+        this.setValue("min_cell_temperature", temperature - 4);
+
+        this.setValue("inverter_state", power < 0 ? 2 : (power > 0 ? 3 : 1));
+        this.setValue("wifi_signal", -55 + Math.round((Math.random() - 0.5) * 6));
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     */
+    setValue(key, value) {
+        const field = this.fields.get(key);
+
+        RegisterMap.encode(field, value).forEach((raw, i) => {
+            this.registers.set(field.address + i, raw);
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {*}
+     */
+    getValue(key) {
+        const field = this.fields.get(key);
+        const buffer = Buffer.alloc(field.length * 2);
+
+        for (let i = 0; i < field.length; i++) {
+            buffer.writeUInt16BE(this.registers.get(field.address + i) ?? 0, i * 2);
+        }
+
+        return RegisterMap.decode(field, buffer);
+    }
+
+    handleRead(address, length, callback) {
+        const fault = this.getFault(address, length);
+
+        if (fault === "timeout") {
+            return;
+        }
+        if (fault !== null) {
+            callback({ modbusErrorCode: fault });
+            return;
+        }
+
+        // Unknown addresses read as 0, just like the gaps in the register blocks of the real device
+        callback(null, Array.from({ length: length }, (_, i) => this.registers.get(address + i) ?? 0));
+    }
+
+    handleWrite(address, values, callback) {
+        const fault = this.getFault(address, values.length);
+
+        if (fault === "timeout") {
+            return;
+        }
+        if (fault !== null) {
+            callback({ modbusErrorCode: fault });
+            return;
+        }
+
+        const writable = RegisterMap.FIELDS.filter(field => field.control);
+        const inRange = values.every((value, i) => {
+            return writable.some(field => address + i >= field.address && address + i < field.address + field.length);
+        });
+
+        if (!inRange) {
+            callback({ modbusErrorCode: 0x02 });
+            return;
+        }
+
+        values.forEach((value, i) => this.registers.set(address + i, value));
+        Logger.info(`Simulator: [${values.join(", ")}] written to ${address}`);
+
+        callback(null);
+    }
+
+    /**
+     * @returns {"timeout"|number|null} what to answer instead of the data
+     */
+    getFault(address, length) {
+        const failing = this.faults.failingModule;
+
+        if (
+            failing !== null &&
+            Date.now() - this.startTimestamp >= this.faults.failingModuleAfter
+        ) {
+            const moduleStart = 34000 + (failing - 1) * 100;
+
+            if (address < moduleStart + 100 && address + length > moduleStart) {
+                return 0x02;
+            }
+        }
+
+        if (Math.random() < this.faults.timeoutRate) {
+            return "timeout";
+        }
+        if (Math.random() < this.faults.exceptionRate) {
+            return this.faults.exceptionCode;
+        }
+
+        return null;
+    }
+}
+
+/**
+ * @param {Buffer} buffer starting with an RTU request
+ * @returns {number|null} the length of the request or null if it isn't known yet
+ */
+function getRtuFrameLength(buffer) {
+    if (buffer.length < 2) {
+        return null;
+    }
+    if (buffer[1] === 0x10) {
+        return buffer.length >= 7 ? 9 + buffer[6] : null;
+    }
+
+    // Every other supported request has a fixed length. Unsupported ones are answered with an exception
+    return 8;
+}
+
+/**
+ * @param {Buffer} frame without CRC
+ * @returns {Buffer}
+ */
+function withCrc(frame) {
+    const crc = Buffer.alloc(2);
+    crc.writeUInt16LE(crc16(frame));
+
+    return Buffer.concat([frame, crc]);
+}
+
+Simulator.MIN_SOC = 10;
+
+module.exports = Simulator;
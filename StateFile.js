@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+const Logger = require("./Logger");
+
+/**
+ * JSON files in the state directory that keep what the bridge has learned across restarts.
+ * Failing to read or write them is logged but never fatal, as the bridge works without them, just less well.
+ */
+class StateFile {
+    /**
+     * @param {string} statePath
+     * @param {object} fallback returned if there is no state yet or it can't be read
+     * @param {string} description of the state for log messages, e.g. "detected hardware"
+     * @returns {object}
+     */
+    static load(statePath, fallback, description) {
+        try {
+            return JSON.parse(fs.readFileSync(statePath, "utf8"));
+        } catch (e) {
+            if (e.code !== "ENOENT") {
+                Logger.warn(`Failed to load ${description} from ${statePath}`, e.message);
+            }
+
+            return fallback;
+        }
+    }
+
+    /**
+     * @param {string} statePath
+     * @param {object} state
+     * @param {string} description of the state for log messages
+     */
+    static save(statePath, state, description) {
+        try {
+            fs.mkdirSync(path.dirname(statePath), { recursive: true });
+            fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+        } catch (e) {
+            Logger.warn(`Failed to save ${description} to ${statePath}`, e.message);
+        }
+    }
+}
+
+module.exports = StateFile;
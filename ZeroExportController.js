@@ -0,0 +1,310 @@
+const Logger = require("./Logger");
+
+/**
+ * Closed-loop controller that keeps the power measured by an external grid meter at a setpoint
+ * by driving force_mode and the charge/discharge power registers in RS485 control mode.
+ *
+ * Grid power is expected to be positive when importing and negative when exporting.
+ * The battery output used internally is positive when discharging and negative when charging.
+ */
+class ZeroExportController {
+    /**
+     * @param {import("./Poller")} poller
+     * @param {import("./MqttClient")} mqttClient
+     * @param {object} options
+     * @param {string} options.gridTopic topic the meter publishes its power reading on
+     * @param {string} [options.gridValuePath] dot-separated path to the value if the payload is JSON, e.g. "ENERGY.Power"
+     * @param {boolean} [options.invertGrid] for meters reporting export as positive
+     * @param {number} [options.setpoint] grid power in W to regulate to
+     * @param {number} [options.deadband] W around the setpoint that are not corrected
+     * @param {number} [options.rampUp] max W/s the battery output may grow by
+     * @param {number} [options.rampDown] max W/s the battery output may shrink by
+     * @param {number} [options.maxChargePower]
+     * @param {number} [options.maxDischargePower]
+     * @param {number} [options.minSoc] no discharging at or below this SoC
+     * @param {number} [options.maxSoc] no charging at or above this SoC
+     * @param {number} [options.staleTimeout] ms without meter data after which the battery is stopped
+     * @param {boolean} [options.enabled] whether the controller starts enabled
+     * @param {boolean} [options.fastMode] keeps the Poller in fast mode while enabled, so that SoC limits
+     *   and mode changes made elsewhere are noticed sooner
+     */
+    constructor(poller, mqttClient, options) {
+        this.poller = poller;
+        this.mqttClient = mqttClient;
+
+        this.gridTopic = options.gridTopic;
+        this.gridValuePath = options.gridValuePath;
+        this.invertGrid = options.invertGrid ?? false;
+        this.setpoint = options.setpoint ?? 0;
+        this.deadband = options.deadband ?? 25;
+        this.rampUp = options.rampUp ?? 200;
+        this.rampDown = options.rampDown ?? 1000;
+        this.maxChargePower = options.maxChargePower ?? 2500;
+        this.maxDischargePower = options.maxDischargePower ?? 2500;
+        this.minSoc = options.minSoc ?? 10;
+        this.maxSoc = options.maxSoc ?? 100;
+        this.staleTimeout = options.staleTimeout ?? 30000;
+        this.fastMode = options.fastMode ?? false;
+
+        this.enabled = false;
+        this.shouldBeEnabled = options.enabled ?? true;
+
+        this.output = 0;
+        this.outputTimestamp = 0;
+        this.lastGridTimestamp = 0;
+        this.stale = false;
+        this.busy = false;
+
+        this.soc = null;
+        this.rs485ControlMode = null;
+        this.previousRs485ControlMode = null;
+        this.written = {};
+    }
+
+    initialize() {
+        const identifier = this.poller.identifier;
+
+        this.mqttClient.subscribe(this.gridTopic, (message) => {
+            this.handleGridPower(message.toString());
+        });
+
+        this.mqttClient.addCustomEntity(identifier, "zero_export", {
+            handler: (value) => {
+                if (value === "ON" || value === "OFF") {
+                    this.shouldBeEnabled = value === "ON";
+                    this.sync().catch(err => {
+                        Logger.error(`[${identifier}] Failed to toggle zero export control`, err.message);
+                    });
+                } else {
+                    Logger.warn(`Invalid value '${value}' for switch zero_export. Expected: ON, OFF`);
+                }
+            },
+            ha: { component: "switch", name: "Zero Export Control" }
+        });
+        this.mqttClient.addCustomEntity(identifier, "zero_export_output", {
+            unit: "W",
+            ha: { name: "Zero Export Output", device_class: "power", state_class: "measurement", precision: 0 }
+        });
+
+        this.poller.onData((data) => {
+            this.soc = data.soc;
+            this.rs485ControlMode = data.rs485_control_mode;
+
+            if (this.enabled && this.fastMode) {
+                this.poller.setFastMode();
+            }
+            this.sync().catch(err => {
+                Logger.error(`[${identifier}] Failed to toggle zero export control`, err.message);
+            });
+            this.checkStale();
+
+            this.mqttClient.publishState(identifier, "zero_export", this.enabled ? "ON" : "OFF");
+            this.mqttClient.publishState(identifier, "zero_export_output", this.output);
+        });
+
+        Logger.info(`[${identifier}] Zero export control listening on ${this.gridTopic} with a setpoint of ${this.setpoint} W`);
+    }
+
+    /**
+     * Brings the device into the state requested via shouldBeEnabled.
+     * Needs to know the current RS485 control mode, so it only acts once data has been polled.
+     */
+    async sync() {
+        if (this.enabled === this.shouldBeEnabled || this.rs485ControlMode === null || this.busy) {
+            return;
+        }
+
+        this.busy = true;
+        try {
+            if (this.shouldBeEnabled) {
+                await this.enable();
+            } else {
+                await this.disable();
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async enable() {
+        const rs485 = this.poller.constructor.CONTROLS["rs485_control_mode"];
+
+        this.previousRs485ControlMode = this.rs485ControlMode;
+        if (this.rs485ControlMode !== rs485.on) {
+            await this.poller.writeRegister(rs485.register, rs485.on);
+        }
+
+        this.written = {};
+        this.output = 0;
+        this.outputTimestamp = Date.now();
+        // Give the meter staleTimeout to deliver its first reading
+        this.lastGridTimestamp = Math.max(this.lastGridTimestamp, Date.now());
+        this.stale = false;
+        this.enabled = true;
+
+        Logger.info(`[${this.poller.identifier}] Zero export control enabled`);
+    }
+
+    async disable() {
+        const rs485 = this.poller.constructor.CONTROLS["rs485_control_mode"];
+
+        await this.applyOutput(0);
+
+        if (this.previousRs485ControlMode !== null && this.previousRs485ControlMode !== rs485.on) {
+            await this.poller.writeRegister(rs485.register, this.previousRs485ControlMode);
+        }
+        // Only now, so that sync tries again if a write failed
+        this.enabled = false;
+
+        Logger.info(`[${this.poller.identifier}] Zero export control disabled`);
+    }
+
+    /**
+     * @param {string} payload
+     */
+    handleGridPower(payload) {
+        const gridPower = this.parseGridPower(payload);
+
+        if (gridPower === null) {
+            Logger.warn(`[${this.poller.identifier}] Unable to read grid power from '${payload}'`);
+            return;
+        }
+
+        this.lastGridTimestamp = Date.now();
+        if (this.stale) {
+            Logger.info(`[${this.poller.identifier}] Grid meter data is fresh again`);
+            this.stale = false;
+        }
+
+        if (!this.enabled || this.busy) {
+            return;
+        }
+
+        this.busy = true;
+        this.applyOutput(this.computeOutput(gridPower, Date.now())).catch(err => {
+            Logger.warn(`[${this.poller.identifier}] Failed to apply zero export output`, err.message);
+        }).finally(() => {
+            this.busy = false;
+        });
+    }
+
+    /**
+     * @param {string} payload
+     * @returns {number|null}
+     */
+    parseGridPower(payload) {
+        let value = payload;
+
+        if (this.gridValuePath) {
+            try {
+                value = this.gridValuePath.split(".").reduce((obj, key) => {
+                    return obj !== undefined && obj !== null ? obj[key] : undefined;
+                }, JSON.parse(payload));
+            } catch (e) {
+                return null;
+            }
+        }
+
+        const power = parseFloat(value);
+        if (!Number.isFinite(power)) {
+            return null;
+        }
+
+        return this.invertGrid ? -power : power;
+    }
+
+    /**
+     * @param {number} gridPower
+     * @param {number} now
+     * @returns {number} the new battery output
+     */
+    computeOutput(gridPower, now) {
+        const error = gridPower - this.setpoint;
+        let target = this.output;
+
+        if (Math.abs(error) > this.deadband) {
+            // Importing more than wanted means that the battery has to discharge more and vice versa
+            target = this.output + error;
+        }
+
+        target = Math.max(-this.maxChargePower, Math.min(this.maxDischargePower, target));
+
+        if (target > 0 && this.soc !== null && this.soc <= this.minSoc) {
+            target = 0;
+        }
+        if (target < 0 && this.soc !== null && this.soc >= this.maxSoc) {
+            target = 0;
+        }
+
+        // Capped so that a long gap between two readings doesn't lift the ramp limit
+        const elapsed = Math.min(Math.max(now - this.outputTimestamp, 0), ZeroExportController.MAX_RAMP_INTERVAL) / 1000;
+
+        if (this.output !== 0 && Math.sign(target) !== Math.sign(this.output)) {
+            // Stopping or switching between charging and discharging: shrinking to 0 first, then growing with the time left
+            const timeToZero = Math.abs(this.output) / this.rampDown;
+
+            if (timeToZero >= elapsed) {
+                target = this.output - Math.sign(this.output) * this.rampDown * elapsed;
+            } else {
+                target = Math.sign(target) * Math.min(Math.abs(target), this.rampUp * (elapsed - timeToZero));
+            }
+        } else {
+            const growing = Math.abs(target) > Math.abs(this.output);
+            const maxDelta = (growing ? this.rampUp : this.rampDown) * elapsed;
+
+            if (Math.abs(target - this.output) > maxDelta) {
+                target = this.output + Math.sign(target - this.output) * maxDelta;
+            }
+        }
+
+        return Math.round(target);
+    }
+
+    /**
+     * @param {number} output positive to discharge, negative to charge
+     */
+    async applyOutput(output) {
+        const controls = this.poller.constructor.CONTROLS;
+        const forceMode = controls["force_mode"];
+        const mode = output > 0 ? "Discharge" : (output < 0 ? "Charge" : "Stop");
+        const modeValue = Object.keys(forceMode.map).find(k => forceMode.map[k] === mode);
+
+        if (output > 0) {
+            await this.writeIfChanged(controls["set_discharge_power"].register, output);
+        } else if (output < 0) {
+            await this.writeIfChanged(controls["set_charge_power"].register, -output);
+        }
+        await this.writeIfChanged(forceMode.register, parseInt(modeValue));
+
+        this.output = output;
+        this.outputTimestamp = Date.now();
+    }
+
+    async writeIfChanged(register, value) {
+        if (this.written[register] !== value) {
+            await this.poller.writeRegister(register, value);
+            this.written[register] = value;
+        }
+    }
+
+    checkStale() {
+        // While busy, an output is being written that would overwrite the stop. It is checked again with the next data
+        if (!this.enabled || this.stale || this.busy || Date.now() - this.lastGridTimestamp <= this.staleTimeout) {
+            return;
+        }
+
+        this.stale = true;
+        Logger.warn(`[${this.poller.identifier}] No grid meter data for ${this.staleTimeout} ms. Stopping the battery.`);
+
+        this.busy = true;
+        this.applyOutput(0).catch(err => {
+            Logger.error(`[${this.poller.identifier}] Failed to stop the battery`, err.message);
+        }).finally(() => {
+            this.busy = false;
+        });
+    }
+}
+
+ZeroExportController.MAX_RAMP_INTERVAL = 5000;
+
+module.exports = ZeroExportController;
@@ -1,17 +1,64 @@
+const path = require("path");
+const Config = require("./Config");
+const HistoryStore = require("./HistoryStore");
+const ApiServer = require("./ApiServer");
 const Logger = require("./Logger");
+const MetricsServer = require("./MetricsServer");
+const ModbusProxy = require("./ModbusProxy");
 const Poller = require("./Poller");
 const MqttClient = require("./MqttClient");
+const ZeroExportController = require("./ZeroExportController");
 
-if (process.env.LOGLEVEL) {
-    Logger.setLogLevel(process.env.LOGLEVEL);
+let config;
+try {
+    config = Config.load();
+} catch (err) {
+    Logger.error(`Invalid configuration:\n${err.message}`);
+    process.exit(1);
+}
+
+if (config.logLevel) {
+    Logger.setLogLevel(config.logLevel);
 }
 
-const poller = new Poller();
-const mqttClient = new MqttClient(poller);
+const deviceConfigs = config.devices;
+const metricsConfig = config.metrics && config.metrics.port !== undefined ? config.metrics : null;
+const apiConfig = config.api && config.api.port !== undefined ? config.api : null;
+const historyConfig = config.history && config.history.enabled ? config.history : null;
+
+const pollers = deviceConfigs.map(device => new Poller(device));
+const mqttClient = config.mqtt && config.mqtt.url ? new MqttClient(pollers, { mqtt: config.mqtt, publishing: config.publishing }) : null;
+const metricsServer = metricsConfig ? new MetricsServer(pollers, metricsConfig, mqttClient ?? undefined) : null;
+const apiServer = apiConfig ? new ApiServer(pollers, apiConfig) : null;
+const proxies = deviceConfigs.map((device, i) => {
+    return device.proxy ? new ModbusProxy(pollers[i], device.proxy) : null;
+}).filter(proxy => proxy !== null);
+if (historyConfig) {
+    pollers.forEach((poller, i) => {
+        // Where history.js looks for it
+        const directory = path.join(deviceConfigs[i].stateDirectory, "history", poller.identifier);
+        const store = new HistoryStore(Object.assign({}, historyConfig, { directory: directory }));
+
+        poller.onData(data => store.append(data));
+    });
+}
+const controllers = deviceConfigs.map((device, i) => {
+    return device.zeroExport ? new ZeroExportController(pollers[i], mqttClient, device.zeroExport) : null;
+}).filter(controller => controller !== null);
 
-poller.initialize().then(() => {
-    mqttClient.initialize();
+Promise.all(pollers.map(poller => poller.initialize())).then(async () => {
+    if (metricsServer) {
+        await metricsServer.initialize();
+    }
+    if (apiServer) {
+        await apiServer.initialize();
+    }
+    await Promise.all(proxies.map(proxy => proxy.initialize()));
+    if (mqttClient) {
+        mqttClient.initialize();
+    }
+    controllers.forEach(controller => controller.initialize());
 }).catch(err => {
     Logger.error("Error while initializing poller", err);
     process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,161 @@
+const path = require("path");
+const { parseArgs } = require("util");
+const Config = require("./Config");
+const HistoryStore = require("./HistoryStore");
+const LocalDay = require("./LocalDay");
+const Logger = require("./Logger");
+const MqttClient = require("./MqttClient");
+const Poller = require("./Poller");
+
+const USAGE = `Usage:
+  node history.js export <ID> [--from <date>] [--to <date>] [--format csv|json] [--keys soc,battery_power,...]
+  node history.js replay <ID> [--from <date>] [--to <date>] [--speed <factor>] [--as <ID>]
+
+The history of a device is read from <state directory>/history/<ID>, using the same configuration as the bridge.
+Dates are anything Date.parse understands. A date without a time, e.g. 2026-03-01, is local midnight.
+replay publishes the stored snapshots through the MqttClient to the configured broker, by default in real time.
+A speed of 0 publishes them as fast as possible. --as publishes them under another identifier.`;
+
+let config;
+try {
+    config = Config.load(process.env, { bridge: false });
+} catch (e) {
+    console.error(`Invalid configuration:\n${e.message}`);
+    process.exit(1);
+}
+
+if (config.logLevel) {
+    Logger.setLogLevel(config.logLevel);
+}
+
+let args;
+try {
+    args = parseArgs({
+        allowPositionals: true,
+        options: {
+            from: { type: "string" },
+            to: { type: "string" },
+            format: { type: "string", default: "csv" },
+            keys: { type: "string" },
+            speed: { type: "string", default: "1" },
+            as: { type: "string" }
+        }
+    });
+} catch (e) {
+    fail(e.message);
+}
+
+const [command, identifier] = args.positionals;
+if (!["export", "replay"].includes(command) || !identifier) {
+    fail();
+}
+
+const from = parseDate(args.values.from);
+const to = parseDate(args.values.to);
+const device = (config.devices ?? []).find(d => d.identifier === identifier);
+const store = new HistoryStore({ directory: path.join(device ? device.stateDirectory : config.stateDirectory, "history", identifier) });
+
+if (command === "export") {
+    exportHistory();
+} else {
+    replayHistory().catch(err => {
+        Logger.error("Replay failed", err);
+        process.exit(1);
+    });
+}
+
+function exportHistory() {
+    if (args.values.format === "json") {
+        let first = true;
+
+        process.stdout.write("[\n");
+        for (const record of store.read(from, to)) {
+            process.stdout.write((first ? "" : ",\n") + JSON.stringify(record));
+            first = false;
+        }
+        process.stdout.write("\n]\n");
+    } else if (args.values.format === "csv") {
+        let keys = args.values.keys ? args.values.keys.split(",") : null;
+
+        if (!keys) {
+            // Needs a pass of its own, as not every snapshot contains every key
+            const seen = new Set();
+            for (const record of store.read(from, to)) {
+                Object.keys(record.data).forEach(key => seen.add(key));
+            }
+            keys = [...seen];
+        }
+
+        for (const line of HistoryStore.toCsv(store.read(from, to), keys)) {
+            process.stdout.write(line);
+        }
+    } else {
+        fail(`Invalid format '${args.values.format}'`);
+    }
+}
+
+async function replayHistory() {
+    const speed = Number(args.values.speed);
+    if (!(speed >= 0)) {
+        fail(`Invalid speed '${args.values.speed}'`);
+    }
+    if (!config.mqtt || !config.mqtt.url) {
+        fail("Neither mqtt.url nor MQTT_BROKER_URL is set");
+    }
+
+    // Never initialized, so it doesn't connect to any device and only passes on what it is given
+    const poller = new Poller({ identifier: args.values.as ?? identifier, host: "replay" });
+    const mqttClient = new MqttClient([poller], { mqtt: config.mqtt, publishing: config.publishing });
+
+    mqttClient.initialize();
+    await new Promise(resolve => mqttClient.client.once("connect", resolve));
+    poller.setConnected(true);
+
+    let previous = null;
+    let count = 0;
+    for (const record of store.read(from, to)) {
+        const time = Date.parse(record.timestamp);
+
+        if (previous !== null && speed > 0) {
+            await new Promise(resolve => setTimeout(resolve, (time - previous) / speed));
+        }
+        previous = time;
+
+        Logger.debug(`Replaying ${record.timestamp}`);
+        poller.emitData(record.data);
+        count++;
+    }
+
+    Logger.info(`Replayed ${count} snapshots`);
+    await new Promise(resolve => mqttClient.client.end(false, resolve));
+}
+
+/**
+ * @param {string} [value]
+ * @returns {Date|undefined}
+ */
+function parseDate(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const day = LocalDay.parse(value);
+    if (day !== null) {
+        return day;
+    }
+
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        fail(`Invalid date '${value}'`);
+    }
+
+    return new Date(time);
+}
+
+function fail(message) {
+    if (message) {
+        console.error(`Error: ${message}`);
+    }
+    console.error(USAGE);
+    process.exit(1);
+}
@@ -6,7 +6,12 @@ if (!process.env.POLL_IP) {
     process.exit(1);
 }
 
-const poller = new Poller();
+const poller = new Poller({
+    identifier: "manual",
+    host: process.env.POLL_IP,
+    port: Number(process.env.POLL_PORT) || 502,
+    slaveId: Number(process.env.SLAVE_ID) || 1
+});
 
 console.log(`Starting Single Poll Test for IP: ${process.env.POLL_IP}...`);
 
@@ -0,0 +1,25 @@
+const Simulator = require("./Simulator");
+
+const simulator = new Simulator({
+    transport: process.env.SIM_TRANSPORT || "tcp",
+    host: process.env.SIM_HOST || "0.0.0.0",
+    port: Number(process.env.SIM_PORT) || 5020,
+    serialPort: process.env.SIM_SERIAL_PORT,
+    baudRate: Number(process.env.SIM_BAUD_RATE) || 115200,
+    unitId: Number(process.env.SLAVE_ID) || 1,
+    moduleCount: Number(process.env.SIM_MODULES) || 2,
+    soc: process.env.SIM_SOC !== undefined ? Number(process.env.SIM_SOC) : 50,
+    timeoutRate: Number(process.env.SIM_TIMEOUT_RATE) || 0,
+    exceptionRate: Number(process.env.SIM_EXCEPTION_RATE) || 0,
+    failingModule: process.env.SIM_FAILING_MODULE ? Number(process.env.SIM_FAILING_MODULE) : null,
+    failingModuleAfter: Number(process.env.SIM_FAILING_MODULE_AFTER) || 0
+});
+
+simulator.start().catch(err => {
+    console.error("Failed to start the simulator", err);
+    process.exit(1);
+});
+
+process.on("SIGINT", () => {
+    simulator.stop().then(() => process.exit(0));
+});
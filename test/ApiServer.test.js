@@ -0,0 +1,195 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const ApiServer = require("../ApiServer");
+const FakeModbusClient = require("./helpers/FakeModbusClient");
+const FakeMqttBroker = require("./helpers/FakeMqttBroker");
+const Logger = require("../Logger");
+const MqttClient = require("../MqttClient");
+const Poller = require("../Poller");
+
+const REGISTERS = require("./fixtures/venus-e-registers.json");
+
+Logger.setLogLevel("error");
+
+describe("ApiServer", () => {
+    let stateDirectory;
+    let poller;
+    let server;
+
+    async function start(options = {}) {
+        server = new ApiServer([poller], Object.assign({ port: 0 }, options));
+        await server.initialize();
+        await poller.pollCycle();
+    }
+
+    /**
+     * @param {string} route
+     * @param {object} [init] see fetch
+     * @returns {Promise<{status: number, body: *}>}
+     */
+    async function request(route, init) {
+        const res = await fetch(`http://127.0.0.1:${server.server.address().port}${route}`, init);
+        const text = await res.text();
+
+        return {
+            status: res.status,
+            body: res.headers.get("content-type") === "application/json" ? JSON.parse(text) : text
+        };
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @returns {Promise<{status: number, body: *}>}
+     */
+    function command(key, value) {
+        return request(`/api/control/${key}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ value: value })
+        });
+    }
+
+    beforeEach(() => {
+        stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-"));
+
+        poller = new Poller({ identifier: "Test", host: "127.0.0.1", energyAccumulators: "device", stateDirectory: stateDirectory });
+        poller.client = new FakeModbusClient(REGISTERS);
+    });
+
+    afterEach(async () => {
+        await server.close();
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    });
+
+    it("returns the latest state with readable values", async () => {
+        await start();
+
+        const { status, body } = await request("/api/state");
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.device, "Test");
+        assert.strictEqual(body.connected, true);
+        assert.strictEqual(body.values.battery_power, -812);
+        assert.strictEqual(body.values.user_work_mode, "Self Consumption");
+        assert.strictEqual(typeof body.values.schedule_1, "object");
+        assert.strictEqual(body.diagnostics.consecutive_failures, 0);
+    });
+
+    it("drops the values of a module that was removed", async () => {
+        await start();
+        poller.client.registers.set(32109, 1);
+        poller.tierSlots = {};
+        await poller.pollCycle();
+
+        const { body } = await request("/api/state");
+
+        assert.strictEqual(body.values.battery_2_soc, undefined);
+        assert.notStrictEqual(body.values.battery_1_soc, undefined);
+    });
+
+    it("describes the controls with their current value", async () => {
+        await start();
+        poller.commandGuard.dangerousCommands = "disabled";
+
+        const { body } = await request("/api/controls");
+        const controls = Object.fromEntries(body.map(control => [control.key, control]));
+
+        assert.deepStrictEqual(
+            { min: controls.set_charge_power.min, max: controls.set_charge_power.max, step: controls.set_charge_power.step, unit: controls.set_charge_power.unit },
+            { min: 0, max: 2500, step: 50, unit: "W" }
+        );
+        assert.strictEqual(typeof controls.set_charge_power.value, "number");
+        assert.ok(controls.force_mode.options.includes("Discharge"));
+        assert.strictEqual(controls.reset_device.enabled, false);
+        assert.strictEqual(controls.reset_device.value, undefined);
+    });
+
+    it("writes controls and returns the command result", async () => {
+        await start();
+
+        const text = await command("user_work_mode", "Manual");
+        const number = await command("set_charge_power", 1200);
+
+        assert.strictEqual(text.status, 200);
+        assert.strictEqual(text.body.actual, "Manual");
+        assert.strictEqual(number.body.actual, 1200);
+        assert.deepStrictEqual(poller.client.writes, [{ address: 43000, values: [0] }, { address: 42020, values: [1200] }]);
+
+        const { body } = await request("/api/state");
+        assert.strictEqual(body.values.user_work_mode, "Manual");
+    });
+
+    it("validates commands like MQTT does", async () => {
+        await start();
+
+        const outOfRange = await command("set_charge_power", "3000");
+        const unarmed = await command("reset_device", "PRESS");
+        const unknown = await command("nonexistent", "1");
+
+        assert.strictEqual(outOfRange.status, 422);
+        assert.match(outOfRange.body.error, /above the maximum of 2500/);
+        assert.strictEqual(unarmed.status, 422);
+        assert.strictEqual(unknown.status, 404);
+        assert.deepStrictEqual(poller.client.writes, []);
+    });
+
+    it("publishes the result of API commands to MQTT as well", async () => {
+        const broker = new FakeMqttBroker();
+        const mqttClient = new MqttClient([poller], { connect: (url, options) => broker.connect(url, options) });
+        mqttClient.initialize();
+        await new Promise(resolve => mqttClient.client.once("connect", resolve));
+        await start();
+
+        const result = broker.nextMessage("marstek2mqtt/Test/command_result");
+        const state = broker.nextMessage("marstek2mqtt/Test/rs485_control_mode");
+        await command("rs485_control_mode", "ON");
+
+        assert.strictEqual(JSON.parse((await result).payload).success, true);
+        assert.strictEqual((await state).payload, "ON");
+    });
+
+    it("only accepts commands sent as JSON, which a form on another site can't", async () => {
+        await start();
+
+        const form = await request("/api/control/user_work_mode", {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            body: "value=Manual"
+        });
+        const text = await request("/api/control/user_work_mode", { method: "POST", headers: { "Content-Type": "text/plain" }, body: "Manual" });
+
+        assert.strictEqual(form.status, 415);
+        assert.strictEqual(text.status, 415);
+        assert.deepStrictEqual(poller.client.writes, []);
+    });
+
+    it("listens on localhost by default", async () => {
+        await start();
+
+        assert.strictEqual(server.server.address().address, "127.0.0.1");
+    });
+
+    it("requires the token if one is configured", async () => {
+        await start({ token: "secret" });
+
+        assert.strictEqual((await request("/api/state")).status, 401);
+        assert.strictEqual((await request("/api/state", { headers: { Authorization: "Bearer wrong" } })).status, 401);
+        assert.strictEqual((await request("/api/state", { headers: { Authorization: "Bearer secret" } })).status, 200);
+        assert.strictEqual((await request("/?token=secret")).status, 200);
+    });
+
+    it("renders a status page", async () => {
+        await start();
+
+        const { status, body } = await request("/");
+
+        assert.strictEqual(status, 200);
+        assert.match(body, /<h2>Test<\/h2>/);
+        assert.match(body, /Connection: <strong>online<\/strong>/);
+        assert.match(body, /<td>battery_power<\/td><td>-812 W<\/td>/);
+    });
+});
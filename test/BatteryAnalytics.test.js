@@ -0,0 +1,118 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const BatteryAnalytics = require("../BatteryAnalytics");
+const Logger = require("../Logger");
+
+Logger.setLogLevel("error");
+
+function cells(module, voltages) {
+    const data = {};
+    voltages.forEach((voltage, i) => {
+        data[`battery_${module}_cell_${i + 1}_voltage`] = voltage;
+    });
+
+    return data;
+}
+
+describe("BatteryAnalytics", () => {
+    let statePath;
+
+    beforeEach(() => {
+        statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-")), "analytics.json");
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+    });
+
+    it("derives the cell voltage spread and the weakest cell", () => {
+        const analytics = new BatteryAnalytics({ statePath: statePath });
+        const data = Object.assign(cells(1, [3.30, 3.31, 3.32]), cells(2, [3.305, 3.285, 3.30]));
+
+        const { values } = analytics.analyze(data);
+
+        assert.strictEqual(values.battery_1_cell_voltage_spread, 0.02);
+        assert.strictEqual(values.battery_2_cell_voltage_spread, 0.02);
+        assert.strictEqual(values.cell_voltage_spread, 0.035);
+        assert.strictEqual(values.weakest_cell, "Battery 2 Cell 2");
+    });
+
+    it("falls back to the min and max cell voltage registers without cell data", () => {
+        const { values } = new BatteryAnalytics({ statePath: statePath }).analyze({ max_cell_voltage: 3.35, min_cell_voltage: 3.3 });
+
+        assert.strictEqual(values.cell_voltage_spread, 0.05);
+        assert.strictEqual(values.weakest_cell, undefined);
+    });
+
+    it("derives the SoC divergence and the round-trip efficiency", () => {
+        const { values } = new BatteryAnalytics({ statePath: statePath }).analyze({
+            battery_1_soc: 64.3,
+            battery_2_soc: 61.9,
+            total_energy_in: 200,
+            total_energy_out: 170
+        });
+
+        assert.strictEqual(values.soc_divergence, 2.4);
+        assert.strictEqual(values.round_trip_efficiency, 85);
+    });
+
+    it("estimates the usable capacity from a full discharge", () => {
+        const analytics = new BatteryAnalytics({ statePath: statePath });
+
+        analytics.analyze({ soc: 100, total_energy_in: 50, total_energy_out: 40, battery_design_capacity: 5.12 });
+        analytics.analyze({ soc: 50, total_energy_in: 50, total_energy_out: 42.3, battery_design_capacity: 5.12 });
+        const { values } = analytics.analyze({ soc: 15, total_energy_in: 50.01, total_energy_out: 43.91, battery_design_capacity: 5.12 });
+
+        assert.strictEqual(values.estimated_capacity, 4.6);
+        assert.strictEqual(values.capacity_health, 89.8);
+
+        const restarted = new BatteryAnalytics({ statePath: statePath });
+        assert.strictEqual(restarted.analyze({ battery_design_capacity: 5.12 }).values.estimated_capacity, 4.6);
+    });
+
+    it("discards a discharge that was interrupted by charging", () => {
+        const analytics = new BatteryAnalytics({ statePath: statePath });
+
+        analytics.analyze({ soc: 100, total_energy_in: 50, total_energy_out: 40 });
+        analytics.analyze({ soc: 60, total_energy_in: 50.5, total_energy_out: 42 });
+        const { values } = analytics.analyze({ soc: 15, total_energy_in: 50.5, total_energy_out: 44 });
+
+        assert.strictEqual(values.estimated_capacity, undefined);
+    });
+
+    it("raises problems once and clears them with hysteresis", () => {
+        const analytics = new BatteryAnalytics({ statePath: statePath, maxCellTemperature: 45 });
+        const now = new Date("2024-05-01T12:00:00Z");
+
+        const raised = analytics.analyze({ max_cell_temperature: 46 }, now);
+        assert.deepStrictEqual(raised.events, [{
+            problem: "max_cell_temperature",
+            active: true,
+            message: "Max cell temperature is above the threshold of 45",
+            value: 46,
+            threshold: 45,
+            timestamp: "2024-05-01T12:00:00.000Z"
+        }]);
+        assert.strictEqual(raised.values.battery_problem, "ON");
+
+        assert.deepStrictEqual(analytics.analyze({ max_cell_temperature: 47 }, now).events, []);
+        assert.deepStrictEqual(analytics.analyze({ max_cell_temperature: 44 }, now).events, []);
+
+        const cleared = analytics.analyze({ max_cell_temperature: 43 }, now);
+        assert.strictEqual(cleared.events.length, 1);
+        assert.strictEqual(cleared.events[0].active, false);
+        assert.strictEqual(cleared.values.battery_problem, "OFF");
+    });
+
+    it("raises problems for values below their threshold", () => {
+        const analytics = new BatteryAnalytics({ statePath: statePath });
+
+        const { events } = analytics.analyze({ min_cell_temperature: -1 });
+
+        assert.strictEqual(events[0].problem, "min_cell_temperature");
+        assert.strictEqual(events[0].message, "Min cell temperature is below the threshold of 0");
+    });
+});
@@ -0,0 +1,46 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const CommandGuard = require("../CommandGuard");
+
+const CONTROL = { type: "number", min: 10, max: 100, step: 5 };
+
+describe("CommandGuard", () => {
+    it("parses numbers within range and on step", () => {
+        const guard = new CommandGuard();
+
+        assert.deepStrictEqual(guard.parseNumber("x", CONTROL, "15"), { value: 15 });
+        assert.match(guard.parseNumber("x", CONTROL, "5").error, /below the minimum/);
+        assert.match(guard.parseNumber("x", CONTROL, "105").error, /above the maximum/);
+        assert.match(guard.parseNumber("x", CONTROL, "12").error, /not a multiple of 5/);
+        assert.match(guard.parseNumber("x", CONTROL, "").error, /Invalid number ''/);
+        assert.match(guard.parseNumber("x", CONTROL, "1.5").error, /Invalid number '1.5'/);
+    });
+
+    it("accepts a press only within armTimeout of arming", () => {
+        const guard = new CommandGuard({ armTimeout: 1000 });
+
+        assert.strictEqual(guard.consumeArm("reset", 0), false);
+
+        guard.arm("reset", 0);
+        assert.strictEqual(guard.consumeArm("reset", 1000), true);
+        assert.strictEqual(guard.consumeArm("reset", 1000), false);
+
+        guard.arm("reset", 0);
+        assert.strictEqual(guard.consumeArm("reset", 1001), false);
+    });
+
+    it("disallows dangerous controls if configured", () => {
+        assert.strictEqual(new CommandGuard().isAllowed({ dangerous: true }), true);
+        assert.strictEqual(new CommandGuard({ dangerousCommands: "disabled" }).isAllowed({ dangerous: true }), false);
+        assert.strictEqual(new CommandGuard({ dangerousCommands: "disabled" }).isAllowed({}), true);
+    });
+
+    it("limits writes per sliding window", () => {
+        const guard = new CommandGuard({ maxWrites: 2, rateWindow: 1000 });
+
+        assert.strictEqual(guard.acquireWrite(0), null);
+        assert.strictEqual(guard.acquireWrite(500), null);
+        assert.match(guard.acquireWrite(999), /Rate limit/);
+        assert.strictEqual(guard.acquireWrite(1000), null);
+    });
+});
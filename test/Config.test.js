@@ -0,0 +1,157 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const Config = require("../Config");
+
+describe("Config", () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * @param {object} content
+     * @returns {string} path of the written config file
+     */
+    function writeConfig(content) {
+        const file = path.join(directory, "config.json");
+
+        fs.writeFileSync(file, JSON.stringify(content));
+        return file;
+    }
+
+    /**
+     * @param {object} env
+     * @returns {Array<string>} the reported problems
+     */
+    function loadErrors(env) {
+        try {
+            Config.load(env);
+        } catch (e) {
+            return e.message.split("\n");
+        }
+
+        assert.fail("Expected the config to be rejected");
+    }
+
+    it("applies environment variables on top of the file", () => {
+        const file = writeConfig({
+            stateDirectory: "/var/lib/marstek2mqtt",
+            mqtt: { url: "mqtt://broker", topicPrefix: "home/battery" },
+            publishing: { mode: "json", retain: true },
+            devices: [{ identifier: "Garage", host: "192.168.1.100" }, { identifier: "Attic", transport: "rtu", serialPort: "/dev/ttyUSB0", stateDirectory: "/tmp" }]
+        });
+
+        const config = Config.load({
+            CONFIG_FILE: file,
+            MQTT_BROKER_URL: "mqtts://broker:8883",
+            PUBLISH_RETAIN: "false",
+            METRICS_PORT: "9464",
+            // Only used without devices in the file
+            POLL_IP: "10.0.0.1"
+        });
+
+        assert.deepStrictEqual(config.mqtt, { url: "mqtts://broker:8883", topicPrefix: "home/battery" });
+        assert.deepStrictEqual(config.publishing, { mode: "json", retain: false });
+        assert.deepStrictEqual(config.metrics, { port: 9464 });
+        assert.deepStrictEqual(config.devices.map(device => [device.host, device.stateDirectory]), [
+            ["192.168.1.100", "/var/lib/marstek2mqtt"],
+            [undefined, "/tmp"]
+        ]);
+    });
+
+    it("takes a single device from the legacy environment variables", () => {
+        const config = Config.load({
+            MQTT_BROKER_URL: "mqtt://broker",
+            POLL_IP: "192.168.1.100",
+            POLL_INTERVAL: "2000",
+            ENERGY_IN_OFFSET: "12.5",
+            PROXY_PORT: "5502",
+            PROXY_READ_ONLY: "true"
+        });
+
+        assert.deepStrictEqual(config.devices, [{
+            identifier: "One",
+            transport: "tcp",
+            host: "192.168.1.100",
+            interval: 2000,
+            energyInOffset: 12.5,
+            proxy: { port: 5502, readOnly: true },
+            stateDirectory: "state"
+        }]);
+    });
+
+    it("reports every invalid value instead of falling back to defaults", () => {
+        const file = writeConfig({
+            publishing: { mode: "xml" },
+            devices: [{ identifier: "Garage", host: "192.168.1.100", interval: -1, intreval: 5000, proxy: {} }]
+        });
+
+        assert.deepStrictEqual(loadErrors({ CONFIG_FILE: file, MQTT_BROKER_URL: "broker", API_PORT: "70000", PUBLISH_RETAIN: "yes" }), [
+            "PUBLISH_RETAIN: 'yes' is neither true nor false",
+            "publishing.mode: expected one of topics, json but got \"xml\"",
+            "devices[0].interval: must be at least 1 but is -1",
+            "devices[0].intreval: unknown setting",
+            "devices[0].proxy.port: is required",
+            "mqtt.url (MQTT_BROKER_URL): must be a URL like mqtt://host:1883 or mqtts://host:8883 but is 'broker'",
+            "api.port (API_PORT): must be at most 65535 but is 70000"
+        ]);
+        assert.deepStrictEqual(loadErrors({ POLL_IP: "192.168.1.100", POLL_INTERVAL: "abc", METRICS_PORT: "9464" }), [
+            "POLL_INTERVAL: 'abc' is not a number"
+        ]);
+    });
+
+    it("checks settings that depend on each other", () => {
+        const file = writeConfig({
+            mqtt: { cert: path.join(directory, "missing.crt") },
+            devices: [
+                { identifier: "Garage", transport: "rtu-over-tcp", zeroExport: { gridTopic: "meter" } },
+                { identifier: "Garage", transport: "rtu", serialPort: "/dev/ttyUSB0" }
+            ]
+        });
+
+        assert.deepStrictEqual(loadErrors({ CONFIG_FILE: file }), [
+            "Neither mqtt.url (MQTT_BROKER_URL) nor a metrics or API port is set",
+            "mqtt.cert: cannot read " + path.join(directory, "missing.crt") + " (ENOENT)",
+            "mqtt: cert and key are only usable together",
+            "devices[0].host: is required for the rtu-over-tcp transport",
+            "devices[0].zeroExport: needs mqtt.url (MQTT_BROKER_URL) to be set",
+            "devices[1].identifier: 'Garage' is used by more than one device"
+        ]);
+        assert.deepStrictEqual(loadErrors({}), [
+            "devices: none configured. List them in CONFIG_FILE or set POLL_IP or POLL_SERIAL_PORT",
+            "Neither mqtt.url (MQTT_BROKER_URL) nor a metrics or API port is set"
+        ]);
+    });
+
+    it("only requires what tools ask for", () => {
+        const config = Config.load({ STATE_DIR: "/data" }, { bridge: false });
+
+        assert.deepStrictEqual(config, { stateDirectory: "/data" });
+    });
+
+    it("rejects prefixes and meter topics that aren't plain topics", () => {
+        assert.deepStrictEqual(loadErrors({ POLL_IP: "192.168.1.100", MQTT_BROKER_URL: "mqtt://broker", MQTT_TOPIC_PREFIX: "marstek/#" }), [
+            "mqtt.topicPrefix (MQTT_TOPIC_PREFIX): must be a topic without wildcards and without leading or trailing slashes but is 'marstek/#'"
+        ]);
+
+        const file = writeConfig({
+            mqtt: { url: "mqtt://broker" },
+            devices: [{ identifier: "Garage", host: "192.168.1.100", zeroExport: { gridTopic: "tele/+/SENSOR" } }]
+        });
+        assert.deepStrictEqual(loadErrors({ CONFIG_FILE: file }), [
+            "devices[0].zeroExport.gridTopic: must be a topic without wildcards and without leading or trailing slashes but is 'tele/+/SENSOR'"
+        ]);
+    });
+
+    it("accepts the example config", () => {
+        assert.doesNotThrow(() => Config.load({ CONFIG_FILE: path.join(__dirname, "..", "config.example.json") }));
+    });
+});
@@ -0,0 +1,67 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const EnergyAccumulator = require("../EnergyAccumulator");
+
+describe("EnergyAccumulator", () => {
+    let statePath;
+
+    beforeEach(() => {
+        statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-")), "energy.json");
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+    });
+
+    it("counts from the start of the day and month", () => {
+        const accumulator = new EnergyAccumulator({ statePath: statePath });
+
+        accumulator.update(100, 50, new Date(2024, 4, 1, 0, 5));
+        accumulator.update(104, 51, new Date(2024, 4, 1, 23, 55));
+
+        assert.deepStrictEqual(accumulator.update(110, 55, new Date(2024, 4, 2, 12, 0)), {
+            daily_energy_in: 0,
+            daily_energy_out: 0,
+            monthly_energy_in: 10,
+            monthly_energy_out: 5
+        });
+        assert.deepStrictEqual(accumulator.update(112, 55, new Date(2024, 5, 1, 0, 0)), {
+            daily_energy_in: 0,
+            daily_energy_out: 0,
+            monthly_energy_in: 0,
+            monthly_energy_out: 0
+        });
+    });
+
+    it("starts over if a counter goes backwards", () => {
+        const accumulator = new EnergyAccumulator({ statePath: statePath });
+
+        accumulator.update(100, 50, new Date(2024, 4, 1, 8, 0));
+        const result = accumulator.update(2, 60, new Date(2024, 4, 1, 9, 0));
+
+        assert.strictEqual(result.daily_energy_in, 0);
+        assert.strictEqual(result.monthly_energy_out, 0);
+    });
+
+    it("ignores counters without a value", () => {
+        const accumulator = new EnergyAccumulator({ statePath: statePath });
+
+        assert.deepStrictEqual(accumulator.update(NaN, 50, new Date(2024, 4, 1, 8, 0)), {});
+        assert.ok(!fs.existsSync(statePath));
+
+        accumulator.update(100, 50, new Date(2024, 4, 1, 8, 0));
+        assert.strictEqual(accumulator.update(101, 50, new Date(2024, 4, 1, 9, 0)).daily_energy_in, 1);
+    });
+
+    it("survives a restart", () => {
+        new EnergyAccumulator({ statePath: statePath }).update(100, 50, new Date(2024, 4, 1, 8, 0));
+
+        const result = new EnergyAccumulator({ statePath: statePath }).update(103, 51, new Date(2024, 4, 1, 9, 0));
+
+        assert.strictEqual(result.daily_energy_in, 3);
+        assert.strictEqual(result.daily_energy_out, 1);
+    });
+});
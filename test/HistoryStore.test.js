@@ -0,0 +1,121 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const HistoryStore = require("../HistoryStore");
+const Logger = require("../Logger");
+
+Logger.setLogLevel("error");
+
+describe("HistoryStore", () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function at(time) {
+        // Local time, as the history is split into local days
+        return new Date(`2026-03-0${time}`);
+    }
+
+    it("reads back a time range across days", () => {
+        const store = new HistoryStore({ directory: directory });
+
+        store.append({ soc: 50 }, at("1T23:59:00"));
+        store.append({ soc: 51 }, at("2T00:01:00"));
+        store.append({ soc: 52 }, at("2T00:02:00"));
+
+        const records = [...store.read(at("1T23:00:00"), at("2T00:01:30"))];
+
+        assert.deepStrictEqual(records, [
+            { timestamp: at("1T23:59:00").toISOString(), data: { soc: 50 } },
+            { timestamp: at("2T00:01:00").toISOString(), data: { soc: 51 } }
+        ]);
+        assert.deepStrictEqual(store.getDays(), ["2026-03-01", "2026-03-02"]);
+    });
+
+    it("splits days at local midnight", () => {
+        const timeZone = process.env.TZ;
+        process.env.TZ = "Europe/Berlin";
+
+        try {
+            const store = new HistoryStore({ directory: directory });
+            store.append({ soc: 50 }, new Date("2026-03-01T22:59:00Z"));
+            store.append({ soc: 51 }, new Date("2026-03-01T23:01:00Z"));
+
+            assert.deepStrictEqual(store.getDays(), ["2026-03-01", "2026-03-02"]);
+        } finally {
+            if (timeZone === undefined) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = timeZone;
+            }
+        }
+    });
+
+    it("stores at most one snapshot per interval", () => {
+        const store = new HistoryStore({ directory: directory, interval: 30000 });
+
+        store.append({ soc: 50 }, at("1T12:00:00"));
+        store.append({ soc: 51 }, at("1T12:00:10"));
+        store.append({ soc: 52 }, at("1T12:00:30"));
+
+        assert.deepStrictEqual([...store.read()].map(record => record.data.soc), [50, 52]);
+    });
+
+    it("averages measurements and keeps the last counter value when downsampling", () => {
+        const store = new HistoryStore({ directory: directory, downsampleInterval: 5 * 60 * 1000 });
+
+        store.append({ battery_power: 100, total_energy_in: 10.1, force_mode: 0 }, at("1T12:00:00"));
+        store.append({ battery_power: 200, total_energy_in: 10.2, force_mode: 1 }, at("1T12:04:00"));
+        store.append({ battery_power: 50, total_energy_in: 10.3, force_mode: 1 }, at("1T12:05:00"));
+
+        // The first append of a new day maintains the store
+        store.append({ battery_power: 0 }, at("3T00:00:00"));
+
+        assert.ok(fs.existsSync(path.join(directory, "2026-03-01.downsampled.jsonl")));
+        assert.ok(!fs.existsSync(path.join(directory, "2026-03-01.jsonl")));
+        assert.deepStrictEqual([...store.read(undefined, at("2T00:00:00"))], [
+            { timestamp: at("1T12:00:00").toISOString(), data: { battery_power: 150, total_energy_in: 10.2, force_mode: 1 } },
+            { timestamp: at("1T12:05:00").toISOString(), data: { battery_power: 50, total_energy_in: 10.3, force_mode: 1 } }
+        ]);
+    });
+
+    it("deletes days past the retention", () => {
+        const store = new HistoryStore({ directory: directory, retentionDays: 2 });
+
+        store.append({ soc: 50 }, at("1T12:00:00"));
+        store.append({ soc: 51 }, at("2T12:00:00"));
+        store.append({ soc: 52 }, at("4T12:00:00"));
+
+        assert.deepStrictEqual(store.getDays(), ["2026-03-02", "2026-03-04"]);
+    });
+
+    it("skips lines cut short by a crash", () => {
+        const store = new HistoryStore({ directory: directory });
+
+        store.append({ soc: 50 }, at("1T12:00:00"));
+        fs.appendFileSync(path.join(directory, "2026-03-01.jsonl"), "{\"timestamp\":\"2026-03-01T12:");
+
+        assert.strictEqual([...store.read()].length, 1);
+    });
+
+    it("exports CSV with the requested columns", () => {
+        const records = [
+            { timestamp: "2026-03-01T12:00:00.000Z", data: { soc: 50, weakest_cell: "Battery 1 Cell 3", schedule_1: { enabled: true } } },
+            { timestamp: "2026-03-01T12:01:00.000Z", data: { soc: 51 } }
+        ];
+
+        assert.deepStrictEqual([...HistoryStore.toCsv(records, ["soc", "weakest_cell", "schedule_1"])], [
+            "timestamp,soc,weakest_cell,schedule_1\n",
+            "2026-03-01T12:00:00.000Z,50,Battery 1 Cell 3,\"{\"\"enabled\"\":true}\"\n",
+            "2026-03-01T12:01:00.000Z,51,,\n"
+        ]);
+    });
+});
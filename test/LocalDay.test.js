@@ -0,0 +1,16 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const LocalDay = require("../LocalDay");
+
+describe("LocalDay", () => {
+    it("formats the local date", () => {
+        assert.strictEqual(LocalDay.format(new Date(2026, 2, 1, 23, 59)), "2026-03-01");
+        assert.strictEqual(LocalDay.format(new Date(2026, 11, 31, 0, 0)), "2026-12-31");
+    });
+
+    it("parses days as local midnight", () => {
+        assert.strictEqual(LocalDay.parse("2026-03-01").getTime(), new Date(2026, 2, 1).getTime());
+        assert.strictEqual(LocalDay.parse("2026-03-01T12:00"), null);
+        assert.strictEqual(LocalDay.parse("March 1"), null);
+    });
+});
@@ -0,0 +1,114 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const FakeModbusClient = require("./helpers/FakeModbusClient");
+const FakeMqttBroker = require("./helpers/FakeMqttBroker");
+const Logger = require("../Logger");
+const MetricsServer = require("../MetricsServer");
+const MqttClient = require("../MqttClient");
+const Poller = require("../Poller");
+
+const REGISTERS = require("./fixtures/venus-e-registers.json");
+
+Logger.setLogLevel("error");
+
+describe("MetricsServer", () => {
+    let stateDirectory;
+    let poller;
+    let server;
+
+    beforeEach(async () => {
+        stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-"));
+
+        poller = new Poller({ identifier: "Test", host: "127.0.0.1", energyAccumulators: "device", stateDirectory: stateDirectory });
+        poller.client = new FakeModbusClient(REGISTERS);
+    });
+
+    afterEach(async () => {
+        if (server) {
+            await server.close();
+            server = undefined;
+        }
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    });
+
+    async function scrape(mqttClient) {
+        server = new MetricsServer([poller], { host: "127.0.0.1", port: 0 }, mqttClient);
+        await server.initialize();
+        await poller.pollCycle();
+
+        const res = await fetch(`http://127.0.0.1:${server.server.address().port}/metrics`);
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+
+        return res.text();
+    }
+
+    it("exports the polled values with the device as label", async () => {
+        const metrics = await scrape();
+
+        assert.match(metrics, /^# TYPE marstek_battery_power_watts gauge$/m);
+        assert.match(metrics, /^marstek_battery_power_watts\{device="Test"\} -812$/m);
+        assert.match(metrics, /^# TYPE marstek_energy_in_kilowatt_hours_total counter$/m);
+        assert.match(metrics, /^marstek_battery_problem\{device="Test"\} [01]$/m);
+        assert.doesNotMatch(metrics, /device_name|firmware/);
+    });
+
+    it("uses labels instead of separate metric names for modules and cells", async () => {
+        poller.client.registers.set(30020, 412);
+        const metrics = await scrape();
+
+        assert.match(metrics, /^marstek_cell_voltage_volts\{device="Test",module="1",cell="1"\} [\d.]+$/m);
+        assert.match(metrics, /^marstek_module_soc_percent\{device="Test",module="1"\} [\d.]+$/m);
+        assert.match(metrics, /^marstek_mppt_power_watts\{device="Test",mppt="1"\} [\d.]+$/m);
+        assert.strictEqual(metrics.match(/^# TYPE marstek_cell_voltage_volts /gm).length, 1);
+        assert.doesNotMatch(metrics, /battery_1_cell_1/);
+    });
+
+    it("exports the bridge internals", async () => {
+        const broker = new FakeMqttBroker();
+        const mqttClient = new MqttClient([poller], { connect: (url, options) => broker.connect(url, options) });
+        mqttClient.initialize();
+        await new Promise(resolve => mqttClient.client.once("connect", resolve));
+
+        poller.client.failAt(30303);
+        poller.client.registers.set(30100, 0xFFFF);
+        const metrics = await scrape(mqttClient);
+
+        assert.match(metrics, /^marstek2mqtt_modbus_up\{device="Test"\} 1$/m);
+        assert.match(metrics, /^marstek2mqtt_poll_duration_seconds\{device="Test"\} [\d.]+$/m);
+        assert.match(metrics, /^marstek2mqtt_modbus_errors_total\{device="Test"\} 1$/m);
+        assert.match(metrics, /^marstek2mqtt_rejected_samples_total\{device="Test",field="battery_voltage"\} 1$/m);
+        assert.match(metrics, /^marstek2mqtt_mqtt_connected 1$/m);
+
+        const published = Number(metrics.match(/^marstek2mqtt_mqtt_messages_published_total (\d+)$/m)[1]);
+        assert.ok(published > 0);
+        assert.strictEqual(published, mqttClient.publishCount);
+    });
+
+    it("drops the values of unreachable devices", async () => {
+        await scrape();
+
+        poller.client.reachable = false;
+        await poller.pollCycle();
+
+        const metrics = server.render();
+        assert.match(metrics, /^marstek2mqtt_modbus_up\{device="Test"\} 0$/m);
+        assert.doesNotMatch(metrics, /^marstek_battery_power_watts/m);
+    });
+
+    it("answers other paths with 404", async () => {
+        server = new MetricsServer([poller], { host: "127.0.0.1", port: 0 });
+        await server.initialize();
+
+        const res = await fetch(`http://127.0.0.1:${server.server.address().port}/`);
+        assert.strictEqual(res.status, 404);
+        await res.text();
+    });
+
+    it("escapes label values", () => {
+        assert.strictEqual(MetricsServer.formatLabels({ device: "a\"b\\c\nd" }), "{device=\"a\\\"b\\\\c\\nd\"}");
+    });
+});
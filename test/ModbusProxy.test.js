@@ -0,0 +1,127 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ModbusRTU = require("modbus-serial");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const FakeModbusClient = require("./helpers/FakeModbusClient");
+const Logger = require("../Logger");
+const ModbusProxy = require("../ModbusProxy");
+const Poller = require("../Poller");
+
+const REGISTERS = require("./fixtures/venus-e-registers.json");
+
+Logger.setLogLevel("error");
+
+describe("ModbusProxy", () => {
+    let stateDirectory;
+    let poller;
+    let proxy;
+    let client;
+
+    async function start(options = {}) {
+        proxy = new ModbusProxy(poller, Object.assign({ host: "127.0.0.1", port: 0 }, options));
+        await proxy.initialize();
+
+        client = new ModbusRTU();
+        await client.connectTCP("127.0.0.1", { port: proxy.getPort() });
+        client.setID(1);
+        client.setTimeout(1000);
+    }
+
+    beforeEach(() => {
+        stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-"));
+
+        poller = new Poller({ identifier: "Test", host: "127.0.0.1", energyAccumulators: "device", stateDirectory: stateDirectory });
+        poller.client = new FakeModbusClient(REGISTERS);
+        poller.connected = true;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => client.close(resolve));
+        await proxy.close();
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    });
+
+    it("answers reads of freshly polled registers from the cache", async () => {
+        await start();
+        await poller.poll();
+        const reads = poller.client.reads.length;
+
+        const res = await client.readHoldingRegisters(32104, 2);
+
+        assert.deepStrictEqual(res.data, [REGISTERS["32104"], REGISTERS["32105"]]);
+        assert.strictEqual(poller.client.reads.length, reads);
+        assert.strictEqual(proxy.stats.cached, 1);
+    });
+
+    it("forwards reads of registers that are not cached or too old", async () => {
+        await start({ maxAge: 1000 });
+        await poller.poll();
+        proxy.cache.forEach(entry => {
+            entry.timestamp -= 2000;
+        });
+
+        const res = await client.readHoldingRegisters(32104, 1);
+
+        assert.deepStrictEqual(res.data, [REGISTERS["32104"]]);
+        assert.deepStrictEqual(poller.client.reads.at(-1), { start: 32104, length: 1 });
+        assert.strictEqual(proxy.stats.forwarded, 1);
+    });
+
+    it("passes writes through and invalidates the written registers", async () => {
+        await start();
+        await poller.poll();
+
+        await client.writeRegister(42011, 80);
+        await client.writeRegisters(42020, [500, 600]);
+
+        assert.deepStrictEqual(poller.client.writes, [
+            { address: 42011, values: [80] },
+            { address: 42020, values: [500, 600] }
+        ]);
+        assert.deepStrictEqual((await client.readHoldingRegisters(42020, 2)).data, [500, 600]);
+    });
+
+    it("doesn't serve registers from the cache that the Poller has written since", async () => {
+        await start();
+        await poller.poll();
+
+        await poller.writeRegister(42020, 700);
+        await poller.writeControl("charge_to_soc", 90);
+
+        assert.deepStrictEqual((await client.readHoldingRegisters(42020, 1)).data, [700]);
+        assert.deepStrictEqual((await client.readHoldingRegisters(42011, 1)).data, [90]);
+        assert.strictEqual(proxy.stats.forwarded, 1);
+    });
+
+    it("rejects writes if it is read-only", async () => {
+        await start({ readOnly: true });
+
+        await assert.rejects(client.writeRegister(42011, 80), err => err.modbusCode === 0x01);
+        assert.deepStrictEqual(poller.client.writes, []);
+    });
+
+    it("applies the command guard to writes", async () => {
+        poller.commandGuard.maxWrites = 1;
+        await start();
+
+        await assert.rejects(client.writeRegister(41001, 21930), err => err.modbusCode === 0x01);
+        await assert.rejects(client.writeRegister(42020, 5000), err => err.modbusCode === 0x03);
+        await assert.rejects(client.writeRegister(43000, 7), err => err.modbusCode === 0x03);
+        await client.writeRegister(42020, 500);
+        await assert.rejects(client.writeRegister(42020, 600), err => err.modbusCode === 0x06);
+
+        assert.deepStrictEqual(poller.client.writes, [{ address: 42020, values: [500] }]);
+    });
+
+    it("passes on exceptions of the device and reports an unreachable device as gateway failure", async () => {
+        await start();
+        poller.client.failAt(30303);
+
+        await assert.rejects(client.readHoldingRegisters(30303, 1), err => err.modbusCode === 0x02);
+
+        poller.connected = false;
+        await assert.rejects(client.readHoldingRegisters(30000, 1), err => err.modbusCode === ModbusProxy.GATEWAY_TARGET_FAILED);
+    });
+});
@@ -0,0 +1,500 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const FakeModbusClient = require("./helpers/FakeModbusClient");
+const FakeMqttBroker = require("./helpers/FakeMqttBroker");
+const Logger = require("../Logger");
+const MqttClient = require("../MqttClient");
+const Poller = require("../Poller");
+const assertSnapshot = require("./helpers/snapshot");
+
+const REGISTERS = require("./fixtures/venus-e-registers.json");
+
+Logger.setLogLevel("error");
+
+describe("MqttClient", () => {
+    let broker;
+    let poller;
+    let mqttClient;
+    let stateDirectory;
+
+    async function setup(publishing, connection) {
+        broker = new FakeMqttBroker();
+
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+        poller = new Poller({ identifier: "Test", host: "127.0.0.1", energyAccumulators: "device", stateDirectory: stateDirectory });
+        poller.client = new FakeModbusClient(REGISTERS);
+        poller.connected = true;
+        await poller.probeCapabilities();
+
+        mqttClient = new MqttClient([poller], {
+            connect: (url, options) => broker.connect(url, options),
+            mqtt: connection,
+            publishing: publishing
+        });
+        mqttClient.initialize();
+
+        await new Promise(resolve => mqttClient.client.once("connect", resolve));
+    }
+
+    beforeEach(async () => {
+        stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-"));
+        await setup();
+    });
+
+    afterEach(() => {
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    });
+
+    /**
+     * @param {string} key
+     * @param {string} payload
+     * @returns {Promise<object>} the command result
+     */
+    async function sendCommand(key, payload) {
+        const result = broker.nextMessage("marstek2mqtt/Test/command_result");
+
+        broker.publish(`marstek2mqtt/Test/set/${key}`, payload);
+
+        return JSON.parse((await result).payload);
+    }
+
+    describe("commands", () => {
+        it("maps select options to their raw value", async () => {
+            const result = await sendCommand("user_work_mode", "Manual");
+
+            assert.deepStrictEqual(poller.client.writes, [{ address: 43000, values: [0] }]);
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(result.actual, "Manual");
+        });
+
+        it("rejects unknown select options", async () => {
+            const result = await sendCommand("force_mode", "Explode");
+
+            assert.deepStrictEqual(poller.client.writes, []);
+            assert.strictEqual(result.success, false);
+            assert.match(result.error, /Expected: Stop, Charge, Discharge/);
+        });
+
+        it("maps switch states to their raw value", async () => {
+            await sendCommand("backup_function", "ON");
+            await sendCommand("rs485_control_mode", "ON");
+
+            assert.deepStrictEqual(poller.client.writes, [
+                { address: 41200, values: [0] },
+                { address: 42000, values: [21930] }
+            ]);
+        });
+
+        it("publishes the state read back after writing", async () => {
+            const state = broker.nextMessage("marstek2mqtt/Test/rs485_control_mode");
+
+            await sendCommand("rs485_control_mode", "ON");
+
+            assert.strictEqual((await state).payload, "ON");
+        });
+
+        it("writes numbers within range", async () => {
+            const result = await sendCommand("set_charge_power", "1200");
+
+            assert.deepStrictEqual(poller.client.writes, [{ address: 42020, values: [1200] }]);
+            assert.deepStrictEqual(
+                { key: result.key, requested: result.requested, actual: result.actual, success: result.success },
+                { key: "set_charge_power", requested: "1200", actual: 1200, success: true }
+            );
+        });
+
+        it("rejects numbers out of range or off step", async () => {
+            const tooHigh = await sendCommand("set_charge_power", "3000");
+            const offStep = await sendCommand("set_charge_power", "1234");
+            const invalid = await sendCommand("charge_to_soc", "abc");
+
+            assert.deepStrictEqual(poller.client.writes, []);
+            assert.match(tooHigh.error, /above the maximum of 2500/);
+            assert.match(offStep.error, /not a multiple of 50/);
+            assert.match(invalid.error, /Invalid number 'abc'/);
+        });
+
+        it("requires dangerous buttons to be armed", async () => {
+            const rejected = await sendCommand("reset_device", "PRESS");
+            assert.strictEqual(rejected.success, false);
+            assert.deepStrictEqual(poller.client.writes, []);
+
+            const armed = await sendCommand("reset_device", "ARM");
+            assert.strictEqual(armed.actual, "ARMED");
+
+            const pressed = await sendCommand("reset_device", "PRESS");
+            assert.strictEqual(pressed.success, true);
+            assert.deepStrictEqual(poller.client.writes, [{ address: 41000, values: [21930] }]);
+        });
+
+        it("doesn't reuse an arm for a second press", async () => {
+            await sendCommand("factory_reset", "ARM");
+            await sendCommand("factory_reset", "PRESS");
+            const second = await sendCommand("factory_reset", "PRESS");
+
+            assert.strictEqual(second.success, false);
+            assert.strictEqual(poller.client.writes.length, 1);
+        });
+
+        it("writes schedule changes as a whole slot", async () => {
+            const result = await sendCommand("schedule_1", JSON.stringify({ enabled: false }));
+
+            assert.deepStrictEqual(poller.client.writes, [{ address: 43100, values: [31, 1566, 5632, 2, 0] }]);
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(result.actual.enabled, false);
+        });
+
+        it("rejects writes over the rate limit", async () => {
+            poller.commandGuard.maxWrites = 1;
+
+            await sendCommand("charge_to_soc", "90");
+            const limited = await sendCommand("charge_to_soc", "80");
+
+            assert.match(limited.error, /Rate limit/);
+            assert.strictEqual(poller.client.writes.length, 1);
+        });
+
+        it("passes commands for custom entities to their handler", async () => {
+            let received;
+            mqttClient.addCustomEntity("Test", "custom", { handler: value => {
+                received = value;
+            } });
+
+            broker.publish("marstek2mqtt/Test/set/custom", "ON");
+
+            assert.strictEqual(received, "ON");
+            assert.deepStrictEqual(poller.client.writes, []);
+        });
+
+        it("toggles the fast mode of the device", async () => {
+            broker.publish("marstek2mqtt/Test/set/fast_mode", "ON");
+            assert.ok(poller.isFastMode());
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/fast_mode").at(-1).payload, "ON");
+
+            broker.publish("marstek2mqtt/Test/set/fast_mode", "OFF");
+            assert.ok(!poller.isFastMode());
+
+            broker.publish("marstek2mqtt/Test/set/fast_mode", "30");
+            assert.ok(poller.fastModeUntil - Date.now() > 29000);
+        });
+    });
+
+    describe("state", () => {
+        it("publishes formatted values", async () => {
+            await poller.poll();
+
+            const states = {};
+            broker.getMessages("marstek2mqtt/Test/+").forEach(message => {
+                states[message.topic.split("/")[2]] = message.payload;
+            });
+
+            assert.strictEqual(states["battery_power"], "-812");
+            assert.strictEqual(states["user_work_mode"], "Self Consumption");
+            assert.strictEqual(states["backup_function"], "OFF");
+            assert.strictEqual(states["inverter_state"], "Charge");
+            assert.strictEqual(states["schedule_1"], JSON.stringify({ days: ["mon", "tue", "wed", "thu", "fri"], start: "06:30", end: "22:00", mode: 2, enabled: true }));
+            assert.strictEqual(states["reset_device"], undefined);
+        });
+    });
+
+    describe("publishing", () => {
+        it("skips values that didn't change by more than their deadband", async () => {
+            await poller.poll();
+            poller.client.registers.set(30001, 0xFFFF & -815);
+            poller.client.registers.set(30006, 0xFFFF & -860);
+            await poller.poll();
+
+            assert.deepStrictEqual(broker.getMessages("marstek2mqtt/Test/battery_power").map(m => m.payload), ["-812"]);
+            assert.deepStrictEqual(broker.getMessages("marstek2mqtt/Test/ac_power").map(m => m.payload), ["-850", "-860"]);
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/battery_1_cell_1_voltage").length, 1);
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/user_work_mode").length, 1);
+        });
+
+        it("compares with the last published value so that slow drifts are published eventually", async () => {
+            for (const power of [-814, -817, -820]) {
+                poller.client.registers.set(30001, 0xFFFF & power);
+                await poller.poll();
+            }
+
+            assert.deepStrictEqual(broker.getMessages("marstek2mqtt/Test/battery_power").map(m => m.payload), ["-814", "-820"]);
+        });
+
+        it("applies configured deadbands", async () => {
+            await setup({ deadbands: { battery_power: 100 } });
+
+            await poller.poll();
+            poller.client.registers.set(30001, 0xFFFF & -900);
+            await poller.poll();
+
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/battery_power").length, 1);
+        });
+
+        it("repeats unchanged values with the heartbeat", async () => {
+            await setup({ heartbeatInterval: 20 });
+
+            await poller.poll();
+            await new Promise(resolve => setTimeout(resolve, 30));
+            await poller.poll();
+
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/soc").length, 2);
+        });
+
+        it("retains states if configured", async () => {
+            await poller.poll();
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/soc")[0].retain, false);
+
+            await setup({ retain: true });
+            await poller.poll();
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/soc")[0].retain, true);
+        });
+
+        it("publishes the whole snapshot as JSON in json mode", async () => {
+            await setup({ mode: "json" });
+
+            await poller.poll();
+
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/soc").length, 0);
+
+            const state = JSON.parse(broker.getMessages("marstek2mqtt/Test/state").pop().payload);
+            assert.strictEqual(state.battery_power, -812);
+            assert.strictEqual(state.user_work_mode, "Self Consumption");
+            assert.strictEqual(state.schedule_1.start, "06:30");
+            assert.strictEqual(state.reset_device, undefined);
+        });
+
+        it("updates the snapshot right after a command in json mode", async () => {
+            await setup({ mode: "json" });
+            await poller.poll();
+
+            const state = broker.nextMessage("marstek2mqtt/Test/state");
+            await sendCommand("user_work_mode", "Manual");
+
+            assert.strictEqual(JSON.parse((await state).payload).user_work_mode, "Manual");
+        });
+
+        it("points discovery to the snapshot in json mode", async () => {
+            await setup({ mode: "json" });
+            mqttClient.ensureAutoconf(poller);
+
+            const config = (key, type = "sensor") => {
+                return JSON.parse(broker.getMessages(`homeassistant/${type}/marstek2mqtt_Test/${key}/config`).pop().payload);
+            };
+
+            assert.strictEqual(config("soc").state_topic, "marstek2mqtt/Test/state");
+            assert.strictEqual(config("soc").value_template, "{{ value_json.soc }}");
+            assert.strictEqual(config("schedule_1", "switch").value_template, "{{ 'ON' if value_json.schedule_1.enabled else 'OFF' }}");
+            assert.strictEqual(config("reconnects").state_topic, "marstek2mqtt/Test/reconnects");
+        });
+    });
+
+    describe("problems", () => {
+        it("publishes problem events", async () => {
+            poller.client.registers.set(35010, 520);
+
+            const event = broker.nextMessage("marstek2mqtt/Test/event");
+            await poller.poll();
+
+            assert.deepStrictEqual(
+                (({ problem, active, value }) => ({ problem, active, value }))(JSON.parse((await event).payload)),
+                { problem: "max_cell_temperature", active: true, value: 52 }
+            );
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/battery_problem").pop().payload, "ON");
+        });
+    });
+
+    describe("connection", () => {
+        it("passes on credentials and reads the TLS files", async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-"));
+            const ca = path.join(directory, "ca.crt");
+            fs.writeFileSync(ca, "CA");
+
+            try {
+                await setup(undefined, { url: "mqtts://broker:8883", username: "user", password: "secret", ca: ca, rejectUnauthorized: false });
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+
+            const options = mqttClient.client.options;
+            assert.strictEqual(options.username, "user");
+            assert.strictEqual(options.password, "secret");
+            assert.strictEqual(options.ca.toString(), "CA");
+            assert.strictEqual(options.rejectUnauthorized, false);
+        });
+
+        it("uses the configured topic and discovery prefixes", async () => {
+            await setup(undefined, { topicPrefix: "home/battery", discoveryPrefix: "ha" });
+            await poller.poll();
+
+            assert.strictEqual(broker.retained.get("home/battery/status"), "online");
+            assert.strictEqual(broker.getMessages("home/battery/Test/battery_power").pop().payload, "-812");
+            assert.strictEqual(JSON.parse(broker.getMessages("ha/sensor/marstek2mqtt_Test/soc/config").pop().payload).state_topic, "home/battery/Test/soc");
+            assert.strictEqual(broker.getMessages("homeassistant/#").length, 0);
+
+            const result = broker.nextMessage("home/battery/Test/command_result");
+            broker.publish("home/battery/Test/set/charge_to_soc", "80");
+
+            assert.strictEqual(JSON.parse((await result).payload).success, true);
+        });
+    });
+
+    describe("availability", () => {
+        it("sets a last will and announces itself as online", () => {
+            assert.deepStrictEqual(mqttClient.client.options.will, { topic: "marstek2mqtt/status", payload: "offline", qos: 1, retain: true });
+            assert.strictEqual(broker.retained.get("marstek2mqtt/status"), "online");
+            assert.strictEqual(broker.retained.get("marstek2mqtt/Test/availability"), "online");
+        });
+
+        it("follows the Modbus connection of the device", () => {
+            poller.setConnected(false);
+            assert.strictEqual(broker.retained.get("marstek2mqtt/Test/availability"), "offline");
+
+            poller.setConnected(true);
+            assert.strictEqual(broker.retained.get("marstek2mqtt/Test/availability"), "online");
+        });
+
+        it("is offline once the connection to the broker drops", () => {
+            broker.drop(mqttClient.client);
+
+            assert.strictEqual(broker.retained.get("marstek2mqtt/status"), "offline");
+        });
+
+        it("publishes the diagnostics after every poll cycle", async () => {
+            poller.client.reachable = false;
+            await poller.pollCycle();
+
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/consecutive_failures").pop().payload, "1");
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/last_poll").length, 0);
+            assert.strictEqual(broker.retained.get("marstek2mqtt/Test/availability"), "offline");
+        });
+    });
+
+    describe("discovery", () => {
+        function getDiscovery() {
+            const discovery = {};
+
+            broker.getMessages("homeassistant/#").forEach(message => {
+                assert.strictEqual(message.retain, true);
+                discovery[message.topic] = JSON.parse(message.payload);
+            });
+
+            return discovery;
+        }
+
+        it("announces every entity of the detected hardware", async () => {
+            await poller.pollDeviceInfo();
+            await poller.poll();
+
+            assertSnapshot("discovery", getDiscovery());
+        });
+
+        it("leaves out battery modules and MPPT inputs that aren't present", async () => {
+            poller.client.registers.set(30021, 385);
+            await poller.poll();
+
+            const topics = Object.keys(getDiscovery());
+
+            assert.ok(topics.includes("homeassistant/sensor/marstek2mqtt_Test/battery_2_soc/config"));
+            assert.ok(!topics.includes("homeassistant/sensor/marstek2mqtt_Test/battery_3_soc/config"));
+            assert.deepStrictEqual(topics.filter(topic => topic.includes("mppt")), [
+                "homeassistant/sensor/marstek2mqtt_Test/mppt2_voltage/config",
+                "homeassistant/sensor/marstek2mqtt_Test/mppt2_current/config",
+                "homeassistant/sensor/marstek2mqtt_Test/mppt2_power/config"
+            ]);
+        });
+
+        it("republishes when the hardware changes and removes the entities that are gone", async () => {
+            await poller.poll();
+            broker.clear();
+
+            poller.client.registers.set(32109, 1);
+            poller.tierSlots = {};
+            await poller.poll();
+
+            assert.strictEqual(broker.retained.has("homeassistant/sensor/marstek2mqtt_Test/battery_2_soc/config"), false);
+            assert.deepStrictEqual(broker.getMessages("homeassistant/sensor/marstek2mqtt_Test/battery_2_soc/config"), [
+                { topic: "homeassistant/sensor/marstek2mqtt_Test/battery_2_soc/config", payload: "", retain: true }
+            ]);
+            assert.ok(broker.retained.has("homeassistant/sensor/marstek2mqtt_Test/battery_1_soc/config"));
+        });
+
+        it("leaves out register blocks the device doesn't support", async () => {
+            poller.client.failAt(32300);
+            poller.capabilitiesProbed = false;
+            await poller.pollCycle();
+
+            const topics = Object.keys(getDiscovery());
+
+            assert.ok(!topics.some(topic => topic.includes("offgrid")));
+            assert.ok(topics.includes("homeassistant/sensor/marstek2mqtt_Test/capabilities/config"));
+            assert.strictEqual(broker.getMessages("marstek2mqtt/Test/capabilities").pop().payload, "accumulators, modules");
+        });
+
+        it("announces the energy accumulators if they are computed", async () => {
+            poller.energyAccumulatorSource = "auto";
+            poller.client.failAt(33004);
+            poller.capabilitiesProbed = false;
+            await poller.pollCycle();
+
+            assert.strictEqual(poller.energyAccumulatorSource, "computed");
+            ["daily_energy_in", "daily_energy_out", "monthly_energy_in", "monthly_energy_out"].forEach(key => {
+                assert.ok(broker.retained.get(`homeassistant/sensor/marstek2mqtt_Test/${key}/config`).length > 0);
+            });
+        });
+
+        it("removes entities a previous run has announced", async () => {
+            broker.publish("homeassistant/sensor/marstek2mqtt_Test/battery_6_soc/config", "{}", { retain: true });
+            broker.publish("homeassistant/sensor/marstek2mqtt_Test/soc/config", "{}", { retain: true });
+            broker.publish("homeassistant/sensor/marstek2mqtt_Other/soc/config", "{}", { retain: true });
+            await poller.poll();
+
+            assert.strictEqual(broker.retained.has("homeassistant/sensor/marstek2mqtt_Test/battery_6_soc/config"), false);
+            assert.notStrictEqual(broker.retained.get("homeassistant/sensor/marstek2mqtt_Test/soc/config"), "{}");
+            assert.strictEqual(broker.retained.get("homeassistant/sensor/marstek2mqtt_Other/soc/config"), "{}");
+
+            // Once announced, stale configs are removed right away
+            broker.publish("homeassistant/sensor/marstek2mqtt_Test/mppt1_power/config", "{}", { retain: true });
+            assert.strictEqual(broker.retained.has("homeassistant/sensor/marstek2mqtt_Test/mppt1_power/config"), false);
+        });
+
+        it("keeps diagnostics available while the device is unreachable", () => {
+            mqttClient.ensureAutoconf(poller);
+            const discovery = getDiscovery();
+
+            assert.deepStrictEqual(discovery["homeassistant/sensor/marstek2mqtt_Test/consecutive_failures/config"].availability, [
+                { topic: "marstek2mqtt/status" }
+            ]);
+            assert.deepStrictEqual(discovery["homeassistant/sensor/marstek2mqtt_Test/soc/config"].availability, [
+                { topic: "marstek2mqtt/status" },
+                { topic: "marstek2mqtt/Test/availability" }
+            ]);
+        });
+
+        it("leaves out dangerous buttons if they are disabled", async () => {
+            poller.commandGuard.dangerousCommands = "disabled";
+            mqttClient.ensureAutoconf(poller);
+
+            const topics = Object.keys(getDiscovery());
+
+            assert.ok(!topics.some(topic => topic.includes("reset")));
+            assert.ok(topics.includes("homeassistant/select/marstek2mqtt_Test/force_mode/config"));
+        });
+
+        it("republishes once the device info is known", async () => {
+            mqttClient.ensureAutoconf(poller);
+            const before = broker.messages.length;
+
+            mqttClient.ensureAutoconf(poller);
+            assert.strictEqual(broker.messages.length, before);
+
+            await poller.pollDeviceInfo();
+            mqttClient.ensureAutoconf(poller);
+
+            const config = JSON.parse(broker.getMessages("homeassistant/sensor/marstek2mqtt_Test/soc/config").pop().payload);
+            assert.strictEqual(config.device.model, "VNSE3-0");
+            assert.deepStrictEqual(config.device.connections, [["mac", "a0:b7:65:12:34:56"]]);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const Logger = require("../Logger");
+const PlausibilityFilter = require("../PlausibilityFilter");
+
+Logger.setLogLevel("error");
+
+describe("PlausibilityFilter", () => {
+    let statePath;
+
+    beforeEach(() => {
+        statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-")), "counters.json");
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+    });
+
+    it("rejects sentinels and values out of range", () => {
+        const filter = new PlausibilityFilter({ statePath: statePath });
+        const values = {
+            soc: 0xFFFF,
+            battery_design_capacity: 0xFFFF * 0.001,
+            battery_1_cell_1_voltage: -0.001,
+            battery_1_cell_2_voltage: 3.301,
+            battery_power: -812
+        };
+
+        assert.deepStrictEqual(filter.filter(values, 0), ["soc", "battery_design_capacity", "battery_1_cell_1_voltage"]);
+        assert.deepStrictEqual(values, { battery_1_cell_2_voltage: 3.301, battery_power: -812 });
+        assert.deepStrictEqual(filter.rejections, { soc: 1, battery_design_capacity: 1, battery_1_cell_1_voltage: 1 });
+    });
+
+    it("rejects jumps until they are read often enough to be real", () => {
+        const filter = new PlausibilityFilter({ statePath: statePath });
+
+        assert.deepStrictEqual(filter.filter({ soc: 64 }, 0), []);
+        assert.deepStrictEqual(filter.filter({ soc: 0 }, 5000), ["soc"]);
+        assert.deepStrictEqual(filter.filter({ soc: 65 }, 10000), []);
+
+        // Charged by another master while the bridge was stopped
+        const results = [20000, 25000, 30000].map(now => filter.filter({ soc: 95 }, now));
+        assert.deepStrictEqual(results, [["soc"], ["soc"], []]);
+    });
+
+    it("accepts a step by the resolution of the register however quick", () => {
+        const filter = new PlausibilityFilter({ statePath: statePath });
+
+        assert.deepStrictEqual(filter.filter({ soc: 64, battery_1_soc: 64.1 }, 0), []);
+        assert.deepStrictEqual(filter.filter({ soc: 65, battery_1_soc: 64.2 }, 1000), []);
+        assert.deepStrictEqual(filter.filter({ soc: 67, battery_1_soc: 64.2 }, 2000), ["soc"]);
+    });
+
+    it("keeps lifetime counters from going backwards", () => {
+        const filter = new PlausibilityFilter({ statePath: statePath });
+        const read = (value, now) => {
+            const values = { total_energy_in: value };
+
+            filter.filter(values, now);
+            return values.total_energy_in;
+        };
+
+        assert.strictEqual(read(1234.56, 0), 1234.56);
+        assert.strictEqual(read(0, 30000), undefined);
+        assert.strictEqual(read(1234.6, 60000), 1234.6);
+        assert.strictEqual(filter.rejections.total_energy_in, 1);
+    });
+
+    it("continues counters from their high-water mark after a reset, also across restarts", () => {
+        let filter = new PlausibilityFilter({ statePath: statePath });
+        const read = (value, now) => {
+            const values = { total_energy_in: value };
+
+            filter.filter(values, now);
+            return values.total_energy_in;
+        };
+
+        read(1000, 0);
+        read(1000.2, 30000);
+
+        // Reset by a firmware update
+        const confirmations = [];
+        for (let i = 1; i <= PlausibilityFilter.RESET_CONFIRMATIONS; i++) {
+            confirmations.push(read(i * 0.01, 30000 + i * 30000));
+        }
+
+        assert.deepStrictEqual(confirmations.slice(0, -1), new Array(PlausibilityFilter.RESET_CONFIRMATIONS - 1).fill(undefined));
+        assert.ok(Math.abs(confirmations.pop() - (1000.2 + 0.09)) < 1e-9);
+
+        filter = new PlausibilityFilter({ statePath: statePath });
+        assert.ok(Math.abs(read(0.5, 1000000) - (1000.2 + 0.49)) < 1e-9);
+        assert.strictEqual(read(0, 1030000), undefined);
+    });
+
+    it("drops the offset if a counter taken as reset returns to its old value", () => {
+        const filter = new PlausibilityFilter({ statePath: statePath });
+        const read = (value, now) => {
+            const values = { total_energy_in: value };
+
+            filter.filter(values, now);
+            return values.total_energy_in;
+        };
+
+        read(1000, 0);
+        read(1000.1, 30000);
+        for (let i = 1; i <= PlausibilityFilter.RESET_CONFIRMATIONS; i++) {
+            read(0, 30000 + i * 30000);
+        }
+
+        assert.ok(Math.abs(read(1000.2, 360000) - 1000.2) < 1e-9);
+        assert.ok(Math.abs(read(1000.3, 390000) - 1000.3) < 1e-9);
+        assert.strictEqual(filter.state.counters.total_energy_in.offset, 0);
+    });
+});
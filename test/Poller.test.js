@@ -0,0 +1,462 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const FakeModbusClient = require("./helpers/FakeModbusClient");
+const Logger = require("../Logger");
+const Poller = require("../Poller");
+const Simulator = require("../Simulator");
+const assertSnapshot = require("./helpers/snapshot");
+
+const REGISTERS = require("./fixtures/venus-e-registers.json");
+
+Logger.setLogLevel("error");
+
+describe("Poller", () => {
+    let stateDirectory;
+
+    beforeEach(() => {
+        stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    });
+
+    function createPoller(options = {}) {
+        const poller = new Poller(Object.assign({
+            identifier: "Test",
+            host: "127.0.0.1",
+            stateDirectory: stateDirectory
+        }, options));
+
+        poller.client = new FakeModbusClient(REGISTERS);
+        poller.connected = true;
+
+        return poller;
+    }
+
+    async function poll(poller) {
+        let data;
+        poller.onData(d => {
+            data = d;
+        });
+
+        if (!poller.capabilitiesProbed) {
+            await poller.probeCapabilities();
+        }
+        await poller.poll();
+
+        return data;
+    }
+
+    it("decodes the recorded registers", async () => {
+        const data = await poll(createPoller());
+
+        assertSnapshot("poll", data);
+    });
+
+    it("applies scale factors and signedness", async () => {
+        const data = await poll(createPoller());
+
+        assert.strictEqual(data.battery_power, -812);
+        assert.ok(Math.abs(data.ac_current - 3.676) < 1e-9);
+        assert.ok(Math.abs(data.battery_voltage - 53.12) < 1e-9);
+        assert.ok(Math.abs(data.ac_frequency - 50) < 1e-9);
+        assert.ok(Math.abs(data.total_energy_in - 1234.56) < 1e-9);
+        assert.strictEqual(data.inverter_state, 2);
+    });
+
+    it("uses the module average as SoC and derives the remaining energy from it", async () => {
+        const data = await poll(createPoller());
+
+        assert.ok(Math.abs(data.soc - 64.1) < 1e-9);
+        assert.ok(Math.abs(data.remaining_energy - 0.641 * 5.12) < 1e-9);
+        assert.strictEqual(data.module_count, undefined);
+    });
+
+    it("adds the configured energy offsets", async () => {
+        const data = await poll(createPoller({ energyInOffset: 10, energyOutOffset: 5 }));
+
+        assert.ok(Math.abs(data.total_energy_in - 1244.56) < 1e-9);
+        assert.ok(Math.abs(data.total_energy_out - 1105.25) < 1e-9);
+    });
+
+    it("stops reading modules at the first one that fails", async () => {
+        const poller = createPoller();
+        poller.client.failAt(34102);
+
+        const data = await poll(poller);
+
+        assert.ok(Math.abs(data.soc - 64.3) < 1e-9);
+        assert.strictEqual(data.battery_2_soc, undefined);
+        assert.strictEqual(data.battery_2_cell_1_voltage, undefined);
+        assert.ok(data.battery_1_cell_13_voltage > 3);
+    });
+
+    it("publishes the last plausible values instead of glitched ones", async () => {
+        const poller = createPoller();
+        await poll(poller);
+
+        poller.client.registers.set(33000, 0);
+        poller.client.registers.set(33001, 0);
+        poller.client.registers.set(34002, 0xFFFF);
+        poller.tierSlots = {};
+        const data = await poll(poller);
+
+        assert.ok(Math.abs(data.total_energy_in - 1234.56) < 1e-9);
+        assert.ok(Math.abs(data.soc - 64.1) < 1e-9);
+        assert.strictEqual(poller.diagnostics.rejected_samples, 2);
+    });
+
+    it("forgets the values of a module that was removed", async () => {
+        const poller = createPoller();
+        await poll(poller);
+
+        poller.client.registers.set(32109, 1);
+        poller.tierSlots = {};
+        const data = await poll(poller);
+
+        assert.strictEqual(data.battery_2_soc, undefined);
+        assert.strictEqual(data.battery_2_cell_1_voltage, undefined);
+        assert.strictEqual(data.soc_divergence, undefined);
+        assert.ok(data.battery_1_soc > 0);
+        assert.ok(!("battery_2_soc" in poller.values));
+    });
+
+    it("remembers MPPT inputs that have reported a voltage", async () => {
+        const poller = createPoller();
+        const changes = [];
+        poller.onHardware(hardware => changes.push(hardware));
+
+        poller.client.registers.set(30022, 412);
+        await poller.poll();
+        // At night
+        poller.client.registers.set(30022, 0);
+        await poller.poll();
+
+        assert.deepStrictEqual(changes, [{ model: null, modules: 2, mppts: [3], capabilities: {} }]);
+
+        const restarted = createPoller();
+        await restarted.pollDeviceInfo();
+        await restarted.poll();
+
+        assert.deepStrictEqual(restarted.getHardware(), { model: "VNSE3-0", modules: 2, mppts: [3], capabilities: {} });
+    });
+
+    it("reads the optional register blocks the device supports", async () => {
+        const poller = createPoller();
+        poller.client.registers.set(32300, 2301);
+        poller.client.registers.set(32303, 412);
+
+        let data;
+        poller.onData(d => {
+            data = d;
+        });
+        await poller.pollCycle();
+
+        assert.strictEqual(poller.diagnostics.capabilities, "offgrid, accumulators, modules");
+        assert.ok(Math.abs(data.ac_offgrid_voltage - 230.1) < 1e-9);
+        assert.strictEqual(data.ac_offgrid_power, 412);
+    });
+
+    it("skips the optional register blocks the device doesn't support", async () => {
+        const poller = createPoller({ energyAccumulators: "auto" });
+        const changes = [];
+        poller.onHardware(hardware => changes.push(hardware.capabilities));
+        poller.client.failAt(32300);
+        poller.client.failAt(33004);
+
+        let data;
+        poller.onData(d => {
+            data = d;
+        });
+        await poller.pollCycle();
+        poller.client.reads = [];
+        await poller.pollCycle();
+
+        assert.strictEqual(poller.diagnostics.consecutive_failures, 0);
+        assert.strictEqual(poller.diagnostics.capabilities, "modules");
+        assert.deepStrictEqual(changes.shift(), { offgrid: false, accumulators: false, modules: true });
+        assert.strictEqual(poller.energyAccumulatorSource, "computed");
+        assert.strictEqual(data.ac_offgrid_voltage, undefined);
+        assert.ok(Math.abs(data.ac_voltage - 231.4) < 1e-9);
+        assert.ok(!poller.client.reads.some(read => read.start <= 32300 && read.start + read.length > 32300));
+    });
+
+    it("skips the optional register blocks until they could be probed", async () => {
+        const poller = createPoller();
+        const read = poller.client.readHoldingRegisters.bind(poller.client);
+        poller.client.readHoldingRegisters = async (start, length) => {
+            if (start <= 32300 && start + length > 32300) {
+                throw new Error("Timed out");
+            }
+
+            return read(start, length);
+        };
+
+        let data;
+        poller.onData(d => {
+            data = d;
+        });
+        await poller.pollCycle();
+
+        assert.strictEqual(poller.capabilitiesProbed, false);
+        assert.strictEqual(poller.diagnostics.consecutive_failures, 0);
+        assert.strictEqual(data.ac_offgrid_voltage, undefined);
+        assert.ok(Math.abs(data.ac_voltage - 231.4) < 1e-9);
+    });
+
+    it("leaves out the lifetime counters until a plausible value has been read", async () => {
+        const poller = createPoller({ energyAccumulators: "computed", energyInOffset: 10 });
+        poller.client.registers.set(33000, 0xFFFF);
+        poller.client.registers.set(33001, 0xFFFF);
+
+        const data = await poll(poller);
+
+        assert.ok(!("total_energy_in" in data));
+        assert.ok(!("daily_energy_in" in data));
+        assert.ok(Math.abs(data.total_energy_out - 1100.25) < 1e-9);
+        assert.ok(!fs.existsSync(path.join(stateDirectory, "energy_Test.json")));
+    });
+
+    it("falls back to computed energy accumulators if the device doesn't know them", async () => {
+        const poller = createPoller({ energyAccumulators: "auto" });
+        poller.client.failAt(33004);
+
+        const data = await poll(poller);
+
+        assert.strictEqual(poller.energyAccumulatorSource, "computed");
+        assert.strictEqual(data.daily_energy_in, 0);
+        assert.strictEqual(data.monthly_energy_out, 0);
+        assert.ok(fs.existsSync(path.join(stateDirectory, "energy_Test.json")));
+    });
+
+    it("fails the poll if the accumulators are forced to come from the device", async () => {
+        const poller = createPoller({ energyAccumulators: "device" });
+        poller.client.failAt(33004);
+
+        await assert.rejects(() => poller.poll(), { modbusCode: 2 });
+    });
+
+    it("merges the device info into the polled data", async () => {
+        const poller = createPoller();
+
+        await poller.pollDeviceInfo();
+        const data = await poll(poller);
+
+        assert.strictEqual(poller.deviceInfo.device_name, "VNSE3-0");
+        assert.strictEqual(poller.deviceInfo.mac_address, "a0:b7:65:12:34:56");
+        assert.strictEqual(data.wifi_signal, -61);
+        assert.strictEqual(data.cloud_status, 1);
+        assert.strictEqual(data.comm_version, "202409090159");
+    });
+
+    it("retries the device info until it could be read and reads it again after reconnecting", async () => {
+        const poller = createPoller();
+        poller.client.failAt(31000);
+
+        await poller.pollCycle();
+        assert.strictEqual(poller.deviceInfo, null);
+
+        poller.client.exceptions.clear();
+        await poller.pollCycle();
+        assert.strictEqual(poller.deviceInfo.comm_version, "202409090159");
+
+        poller.client.registers.set(30355, 0x3630);
+        await poller.pollCycle();
+        assert.strictEqual(poller.deviceInfo.comm_version, "202409090159");
+
+        await poller.connect();
+        await poller.pollCycle();
+        assert.strictEqual(poller.deviceInfo.comm_version, "202409090160");
+    });
+
+    it("reads the slow and static tiers only when they are due", async () => {
+        const poller = createPoller({ slowInterval: 60 * 60 * 1000, staticInterval: 24 * 60 * 60 * 1000 });
+
+        await poll(poller);
+        poller.client.registers.set(30001, 100);
+        poller.client.registers.set(35000, 400);
+        poller.client.reads = [];
+
+        const data = await poll(poller);
+
+        assert.strictEqual(data.battery_power, 100);
+        assert.ok(Math.abs(data.internal_temperature - 31.5) < 1e-9);
+        assert.ok(data.schedule_1.enabled);
+        assert.ok(!poller.client.reads.some(read => read.start <= 35000 && read.start + read.length > 35000));
+
+        const slot = poller.tierSlots.slow * 60 * 60 * 1000;
+        assert.ok(!poller.getDueTiers(slot + 60 * 60 * 1000 - 1).includes("slow"));
+        assert.ok(poller.getDueTiers(slot + 60 * 60 * 1000).includes("slow"));
+    });
+
+    it("keeps written values until their tier is read again", async () => {
+        const poller = createPoller();
+
+        await poll(poller);
+        await poller.writeRegister(42011, 80);
+        await poller.writeRegisters(42020, [500, 600]);
+
+        const data = await poll(poller);
+
+        assert.strictEqual(data.charge_to_soc, 80);
+        assert.strictEqual(data.set_charge_power, 500);
+        assert.strictEqual(data.set_discharge_power, 600);
+    });
+
+    it("polls faster while in fast mode", () => {
+        const poller = createPoller({ interval: 5000, fastModeInterval: 1000 });
+
+        assert.strictEqual(poller.getNextDelay(12000), 3000);
+
+        poller.setFastMode(60000);
+        assert.ok(poller.isFastMode());
+        assert.strictEqual(poller.getNextDelay(), 1000 - (Date.now() % 1000));
+
+        poller.setFastMode(0);
+        assert.ok(!poller.isFastMode());
+    });
+
+    it("backs off exponentially while the device is unreachable", async () => {
+        const poller = createPoller({ reconnectDelay: 1000, maxReconnectDelay: 5000 });
+        poller.connected = false;
+        poller.client.reachable = false;
+
+        const delays = [];
+        for (let i = 0; i < 4; i++) {
+            await poller.pollCycle();
+            delays.push(poller.getNextDelay());
+        }
+
+        [2000, 4000, 5000, 5000].forEach((delay, i) => {
+            assert.ok(delays[i] >= delay / 2 && delays[i] <= delay, `${delays[i]} should be within ${delay / 2} and ${delay}`);
+        });
+
+        poller.client.reachable = true;
+        await poller.pollCycle();
+        assert.strictEqual(poller.reconnectAttempts, 0);
+    });
+
+    it("backs off while the device accepts connections but doesn't answer", async () => {
+        const poller = createPoller({ reconnectDelay: 1000, maxReconnectDelay: 5000 });
+        poller.client.responding = false;
+
+        const delays = [];
+        for (let i = 0; i < 4; i++) {
+            await poller.pollCycle();
+            delays.push(poller.getNextDelay());
+        }
+
+        [2000, 4000, 5000, 5000].forEach((delay, i) => {
+            assert.ok(delays[i] >= delay / 2 && delays[i] <= delay, `${delays[i]} should be within ${delay / 2} and ${delay}`);
+        });
+
+        poller.client.responding = true;
+        await poller.pollCycle();
+        assert.strictEqual(poller.reconnectAttempts, 0);
+    });
+
+    it("tracks the outcome of poll cycles in the diagnostics", async () => {
+        const poller = createPoller();
+        const availability = [];
+        let diagnostics;
+
+        poller.connected = false;
+        poller.onAvailability(available => availability.push(available));
+        poller.onDiagnostics(d => {
+            diagnostics = d;
+        });
+
+        await poller.pollCycle();
+        assert.strictEqual(diagnostics.consecutive_failures, 0);
+        assert.strictEqual(diagnostics.reconnects, 0);
+        assert.ok(diagnostics.poll_duration >= 0);
+        assert.ok(!isNaN(Date.parse(diagnostics.last_poll)));
+
+        poller.client.reachable = false;
+        await poller.pollCycle();
+        await poller.pollCycle();
+        assert.strictEqual(diagnostics.consecutive_failures, 2);
+        // The second cycle already fails to reconnect and doesn't send any request
+        assert.strictEqual(diagnostics.modbus_errors, 1);
+
+        poller.client.reachable = true;
+        await poller.pollCycle();
+        assert.strictEqual(diagnostics.consecutive_failures, 0);
+        assert.strictEqual(diagnostics.reconnects, 1);
+
+        assert.deepStrictEqual(availability, [true, false, true]);
+    });
+
+    it("connects through the configured transport", async () => {
+        const serial = createPoller({ transport: "rtu", serialPort: "/dev/ttyUSB0", baudRate: 9600, parity: "even" });
+        const gateway = createPoller({ transport: "rtu-over-tcp", host: "10.0.0.2", port: 4196 });
+
+        await serial.connect();
+        await gateway.connect();
+
+        assert.deepStrictEqual(serial.client.transport, {
+            type: "rtu",
+            target: "/dev/ttyUSB0",
+            options: { baudRate: 9600, parity: "even", dataBits: 8, stopBits: 1 }
+        });
+        assert.deepStrictEqual(gateway.client.transport, { type: "rtu-over-tcp", target: "10.0.0.2", options: { port: 4196 } });
+        assert.strictEqual(serial.describeTransport(), "rtu:///dev/ttyUSB0 (9600 8E1)");
+    });
+
+    it("polls the simulator through RTU frames over TCP", async () => {
+        const simulator = new Simulator({ transport: "rtu-over-tcp", host: "127.0.0.1", port: 0, moduleCount: 1, soc: 60, tickInterval: 60000 });
+        await simulator.start();
+
+        const poller = new Poller({
+            identifier: "Test",
+            transport: "rtu-over-tcp",
+            host: "127.0.0.1",
+            port: simulator.port,
+            stateDirectory: stateDirectory
+        });
+
+        try {
+            await poller.connect();
+            const data = await poll(poller);
+
+            // The simulated modules deviate from the pack SoC by up to 0.5%
+            assert.ok(Math.abs(data.battery_1_soc - 60) < 0.6);
+            assert.strictEqual(data.battery_design_capacity, 2.56);
+
+            await poller.writeControl("charge_to_soc", 90);
+            assert.strictEqual(simulator.getValue("charge_to_soc"), 90);
+        } finally {
+            poller.client.close(() => {});
+            await simulator.stop();
+        }
+    });
+
+    it("reads the control back after writing it", async () => {
+        const poller = createPoller();
+
+        const actual = await poller.writeControl("charge_to_soc", 80);
+
+        assert.strictEqual(actual, 80);
+        assert.deepStrictEqual(poller.client.writes, [{ address: 42011, values: [80] }]);
+    });
+
+    it("merges schedule changes into the stored slot", async () => {
+        const poller = createPoller();
+
+        const actual = await poller.writeSchedule(43100, { enabled: false, days: ["sat", "sun"] });
+
+        assert.deepStrictEqual(actual, { days: ["sat", "sun"], start: "06:30", end: "22:00", mode: 2, enabled: false });
+        assert.deepStrictEqual(poller.client.writes, [{ address: 43100, values: [96, 1566, 5632, 2, 0] }]);
+    });
+
+    it("doesn't write invalid schedules", async () => {
+        const poller = createPoller();
+
+        await assert.rejects(() => poller.writeSchedule(43100, { start: "25:00" }), /HH:MM/);
+        assert.deepStrictEqual(poller.client.writes, []);
+    });
+});
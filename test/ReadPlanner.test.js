@@ -0,0 +1,40 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const ReadPlanner = require("../ReadPlanner");
+
+function field(key, address, length = 1, extra = {}) {
+    return Object.assign({ key: key, address: address, length: length }, extra);
+}
+
+describe("ReadPlanner", () => {
+    it("merges ranges separated by at most maxGap registers", () => {
+        const blocks = ReadPlanner.plan([field("c", 120), field("a", 100, 2), field("b", 110)], { maxGap: 8 });
+
+        assert.deepStrictEqual(blocks.map(block => [block.start, block.length]), [[100, 11], [120, 1]]);
+        assert.deepStrictEqual(blocks[0].fields.map(f => f.key), ["a", "b"]);
+    });
+
+    it("only merges adjacent ranges by default", () => {
+        const blocks = ReadPlanner.plan([field("a", 100, 2), field("b", 102), field("c", 104)]);
+
+        assert.deepStrictEqual(blocks.map(block => [block.start, block.length]), [[100, 3], [104, 1]]);
+    });
+
+    it("never exceeds maxLength", () => {
+        const blocks = ReadPlanner.plan([field("a", 0), field("b", 100), field("c", 124, 2)], { maxGap: 200 });
+
+        assert.deepStrictEqual(blocks.map(block => [block.start, block.length]), [[0, 101], [124, 2]]);
+    });
+
+    it("skips derived and write-only fields", () => {
+        const blocks = ReadPlanner.plan([field("derived"), field("button", 500, 1, { writeOnly: true }), field("a", 10)]);
+
+        assert.deepStrictEqual(blocks.map(block => [block.start, block.length]), [[10, 1]]);
+    });
+
+    it("keeps overlapping fields in one block", () => {
+        const blocks = ReadPlanner.plan([field("wide", 10, 4), field("inner", 11)]);
+
+        assert.deepStrictEqual(blocks.map(block => [block.start, block.length]), [[10, 4]]);
+    });
+});
@@ -0,0 +1,68 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const RegisterMap = require("../RegisterMap");
+
+function decode(field, registers) {
+    const buffer = Buffer.alloc(registers.length * 2);
+    registers.forEach((value, i) => buffer.writeUInt16BE(value, i * 2));
+
+    return RegisterMap.decode(field, buffer);
+}
+
+function getField(key) {
+    return RegisterMap.FIELDS.find(field => field.key === key);
+}
+
+describe("RegisterMap", () => {
+    it("has unique keys and non-overlapping registers", () => {
+        const keys = new Set();
+        const addresses = new Map();
+
+        RegisterMap.FIELDS.forEach(field => {
+            assert.ok(!keys.has(field.key), `Duplicate key ${field.key}`);
+            keys.add(field.key);
+
+            for (let i = 0; field.address !== undefined && i < field.length; i++) {
+                assert.ok(!addresses.has(field.address + i), `${field.key} overlaps ${addresses.get(field.address + i)}`);
+                addresses.set(field.address + i, field.key);
+            }
+        });
+    });
+
+    it("decodes signed, scaled and 32 bit values", () => {
+        assert.strictEqual(decode(getField("battery_power"), [0xFFFF]), -1);
+        assert.ok(Math.abs(decode(getField("ac_current"), [250]) - 1) < 1e-9);
+        assert.ok(Math.abs(decode(getField("total_energy_in"), [0x0001, 0x0000]) - 655.36) < 1e-9);
+        assert.ok(Math.abs(decode(getField("total_energy_out"), [0xFFFF, 0xFFFE]) + 0.02) < 1e-9);
+    });
+
+    it("decodes strings without trailing padding", () => {
+        assert.strictEqual(decode(getField("device_name"), [0x564E, 0x5345, 0x3300, 0, 0, 0, 0, 0, 0, 0]), "VNSE3");
+    });
+
+    it("encodes every readable field so that decoding restores the value", () => {
+        const samples = {
+            u16: 1234,
+            i16: -1234,
+            u32: 123456,
+            i32: -123456
+        };
+
+        RegisterMap.FIELDS.filter(field => field.address !== undefined && field.type !== "string" && !field.encode).forEach(field => {
+            const value = samples[field.type] * (field.scale ?? 1);
+            const raw = RegisterMap.encode(field, value);
+
+            assert.strictEqual(raw.length, field.length);
+            assert.ok(Math.abs(decode(field, raw) - value) < 1e-9, field.key);
+        });
+
+        assert.strictEqual(decode(getField("mac_address"), RegisterMap.encode(getField("mac_address"), "a0:b7:65:12:34:56")), "a0:b7:65:12:34:56");
+    });
+
+    it("provides the fields of a battery module", () => {
+        const fields = RegisterMap.getModuleFields(2);
+
+        assert.strictEqual(fields.length, 1 + RegisterMap.CELLS_PER_MODULE);
+        assert.strictEqual(fields.find(field => field.key === "battery_2_soc").address, 34102);
+    });
+});
@@ -0,0 +1,30 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const Schedule = require("../Schedule");
+
+const SCHEDULE = { days: ["mon", "sun"], start: "06:30", end: "22:05", mode: 2, enabled: true };
+
+describe("Schedule", () => {
+    it("encodes days as a bitmask and times as hour and minute bytes", () => {
+        assert.deepStrictEqual(Schedule.encode(SCHEDULE), [0b1000001, 0x061E, 0x1605, 2, 1]);
+    });
+
+    it("decodes what it encodes", () => {
+        const raw = Schedule.encode(SCHEDULE);
+        const buffer = Buffer.alloc(raw.length * 2);
+        raw.forEach((value, i) => buffer.writeUInt16BE(value, i * 2));
+
+        assert.deepStrictEqual(Schedule.decode(buffer), SCHEDULE);
+    });
+
+    it("rejects invalid schedules", () => {
+        assert.doesNotThrow(() => Schedule.validate(SCHEDULE));
+
+        assert.throws(() => Schedule.validate(Object.assign({}, SCHEDULE, { days: ["monday"] })), /days/);
+        assert.throws(() => Schedule.validate(Object.assign({}, SCHEDULE, { days: ["mon", "mon"] })), /duplicates/);
+        assert.throws(() => Schedule.validate(Object.assign({}, SCHEDULE, { end: "24:00" })), /end/);
+        assert.throws(() => Schedule.validate(Object.assign({}, SCHEDULE, { mode: -1 })), /mode/);
+        assert.throws(() => Schedule.validate(Object.assign({}, SCHEDULE, { enabled: 1 })), /enabled/);
+        assert.throws(() => Schedule.validate(Object.assign({}, SCHEDULE, { power: 800 })), /Unknown schedule keys: power/);
+    });
+});
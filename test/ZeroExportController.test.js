@@ -0,0 +1,151 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const FakeModbusClient = require("./helpers/FakeModbusClient");
+const Logger = require("../Logger");
+const Poller = require("../Poller");
+const ZeroExportController = require("../ZeroExportController");
+
+const REGISTERS = require("./fixtures/venus-e-registers.json");
+
+Logger.setLogLevel("error");
+
+function controller(output) {
+    const ctrl = new ZeroExportController(null, null, { gridTopic: "meter/power", deadband: 0, rampUp: 100, rampDown: 1000 });
+    ctrl.output = output;
+    ctrl.outputTimestamp = 0;
+    ctrl.soc = 50;
+
+    return ctrl;
+}
+
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe("ZeroExportController", () => {
+    let stateDirectory;
+    let poller;
+
+    beforeEach(() => {
+        stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "marstek2mqtt-"));
+
+        poller = new Poller({ identifier: "Test", host: "127.0.0.1", stateDirectory: stateDirectory });
+        poller.client = new FakeModbusClient(REGISTERS);
+        poller.connected = true;
+    });
+
+    afterEach(() => {
+        fs.rmSync(stateDirectory, { recursive: true, force: true });
+    });
+
+    /**
+     * @param {object} [options]
+     * @returns {Promise<ZeroExportController>} enabled, as if the device had been polled before
+     */
+    async function createEnabled(options = {}) {
+        const ctrl = new ZeroExportController(poller, null, Object.assign({ gridTopic: "meter/power", deadband: 0 }, options));
+        ctrl.soc = 50;
+        ctrl.rs485ControlMode = REGISTERS["42000"];
+
+        await ctrl.sync();
+        poller.client.writes = [];
+
+        return ctrl;
+    }
+
+    it("ramps up with rampUp and down with rampDown", () => {
+        assert.strictEqual(controller(0).computeOutput(800, 1000), 100);
+        assert.strictEqual(controller(-500).computeOutput(-800, 1000), -600);
+
+        assert.strictEqual(controller(1500).computeOutput(-1000, 1000), 500);
+        assert.strictEqual(controller(-1500).computeOutput(1000, 1000), -500);
+    });
+
+    it("ramps down to 0 with rampDown before ramping up in the other direction", () => {
+        assert.strictEqual(controller(500).computeOutput(-500, 1000), 0);
+        assert.strictEqual(controller(500).computeOutput(-1000, 1000), -50);
+        assert.strictEqual(controller(-200).computeOutput(2200, 2000), 180);
+    });
+
+    it("doesn't discharge at or below minSoc and doesn't charge at or above maxSoc", () => {
+        const ctrl = controller(0);
+
+        ctrl.soc = 10;
+        assert.strictEqual(ctrl.computeOutput(800, 5000), 0);
+        assert.strictEqual(ctrl.computeOutput(-800, 5000), -500);
+
+        ctrl.soc = 100;
+        assert.strictEqual(ctrl.computeOutput(-800, 5000), 0);
+        assert.strictEqual(ctrl.computeOutput(800, 5000), 500);
+    });
+
+    it("takes over RS485 control while enabled and restores it when disabled", async () => {
+        const ctrl = new ZeroExportController(poller, null, { gridTopic: "meter/power" });
+        ctrl.rs485ControlMode = REGISTERS["42000"];
+
+        await ctrl.sync();
+        assert.strictEqual(ctrl.enabled, true);
+        assert.deepStrictEqual(poller.client.writes, [{ address: 42000, values: [21930] }]);
+
+        ctrl.shouldBeEnabled = false;
+        await ctrl.sync();
+        assert.strictEqual(ctrl.enabled, false);
+        assert.deepStrictEqual(poller.client.writes.slice(1), [
+            { address: 42010, values: [0] },
+            { address: 42000, values: [REGISTERS["42000"]] }
+        ]);
+    });
+
+    it("stays enabled until the battery could be stopped", async () => {
+        const ctrl = await createEnabled();
+        poller.client.failAt(42010);
+
+        ctrl.shouldBeEnabled = false;
+        await assert.rejects(() => ctrl.sync());
+        assert.strictEqual(ctrl.enabled, true);
+
+        poller.client.exceptions.clear();
+        await ctrl.sync();
+        assert.strictEqual(ctrl.enabled, false);
+        assert.deepStrictEqual(poller.client.writes.at(-1), { address: 42000, values: [REGISTERS["42000"]] });
+    });
+
+    it("stops the battery if the meter data is stale and resumes once it is fresh again", async () => {
+        const ctrl = await createEnabled({ staleTimeout: 1000 });
+        ctrl.output = 300;
+        ctrl.lastGridTimestamp = Date.now() - 2000;
+
+        ctrl.checkStale();
+        await settle();
+        assert.strictEqual(ctrl.stale, true);
+        assert.strictEqual(ctrl.output, 0);
+
+        ctrl.outputTimestamp -= ZeroExportController.MAX_RAMP_INTERVAL;
+        ctrl.handleGridPower("400");
+        await settle();
+        assert.strictEqual(ctrl.stale, false);
+        assert.strictEqual(ctrl.output, 400);
+    });
+
+    it("doesn't let a stop for stale meter data interleave with writing an output", async () => {
+        const ctrl = await createEnabled({ staleTimeout: 1000 });
+
+        ctrl.outputTimestamp -= ZeroExportController.MAX_RAMP_INTERVAL;
+        ctrl.handleGridPower("500");
+        ctrl.lastGridTimestamp = 0;
+        ctrl.checkStale();
+        assert.strictEqual(ctrl.stale, false);
+        await settle();
+        assert.strictEqual(ctrl.output, 500);
+
+        ctrl.checkStale();
+        await settle();
+
+        assert.strictEqual(ctrl.stale, true);
+        assert.strictEqual(ctrl.output, 0);
+        assert.deepStrictEqual(poller.client.writes.at(-1), { address: 42010, values: [0] });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Stand-in for the modbus-serial client of a Poller that serves a fixed register image.
+ * Unknown addresses read as 0. Writes are recorded and change the image.
+ * Setting reachable to false makes connecting and reading fail like an unplugged device.
+ * Setting responding to false only makes reading fail, like a device that accepts connections but doesn't answer.
+ */
+class FakeModbusClient {
+    /**
+     * @param {Object<string, number>} [registers] raw register values by address
+     */
+    constructor(registers = {}) {
+        this.registers = new Map(Object.entries(registers).map(([address, value]) => [Number(address), value]));
+        this.exceptions = new Map();
+        this.reads = [];
+        this.writes = [];
+        this.isOpen = true;
+        this.reachable = true;
+        this.responding = true;
+    }
+
+    async connectTCP(host, options) {
+        this.open("tcp", host, options);
+    }
+
+    async connectTelnet(host, options) {
+        this.open("rtu-over-tcp", host, options);
+    }
+
+    async connectRTUBuffered(path, options) {
+        this.open("rtu", path, options);
+    }
+
+    open(transport, target, options) {
+        if (!this.reachable) {
+            throw new Error(`connect ECONNREFUSED ${target}:${options.port}`);
+        }
+
+        this.transport = { type: transport, target: target, options: options };
+        this.isOpen = true;
+    }
+
+    setID(id) {
+        this.id = id;
+    }
+
+    setTimeout(timeout) {
+        this.timeout = timeout;
+    }
+
+    /**
+     * Makes every request touching the address fail with a Modbus exception
+     *
+     * @param {number} address
+     * @param {number} [code]
+     */
+    failAt(address, code = 2) {
+        this.exceptions.set(address, code);
+    }
+
+    async readHoldingRegisters(start, length) {
+        if (!this.reachable || !this.responding) {
+            throw new Error("Timed out");
+        }
+
+        this.reads.push({ start: start, length: length });
+        this.checkExceptions(start, length);
+
+        const data = [];
+        const buffer = Buffer.alloc(length * 2);
+
+        for (let i = 0; i < length; i++) {
+            data.push(this.registers.get(start + i) ?? 0);
+            buffer.writeUInt16BE(data[i], i * 2);
+        }
+
+        return { data: data, buffer: buffer };
+    }
+
+    async writeRegister(address, value) {
+        this.checkExceptions(address, 1);
+
+        this.writes.push({ address: address, values: [value] });
+        this.registers.set(address, value);
+
+        return { address: address, value: value };
+    }
+
+    async writeRegisters(address, values) {
+        this.checkExceptions(address, values.length);
+
+        this.writes.push({ address: address, values: values });
+        values.forEach((value, i) => this.registers.set(address + i, value));
+
+        return { address: address, length: values.length };
+    }
+
+    close(callback) {
+        this.isOpen = false;
+
+        if (callback) {
+            callback();
+        }
+    }
+
+    checkExceptions(start, length) {
+        for (let address = start; address < start + length; address++) {
+            if (this.exceptions.has(address)) {
+                const code = this.exceptions.get(address);
+                const err = new Error(`Modbus exception ${code}: Illegal data address (register not supported by device)`);
+
+                err.modbusCode = code;
+                throw err;
+            }
+        }
+    }
+}
+
+module.exports = FakeModbusClient;
@@ -0,0 +1,186 @@
+const EventEmitter = require("events").EventEmitter;
+
+/**
+ * In-process stand-in for an MQTT broker. connect() is a drop-in replacement for mqtt.connect
+ * that returns clients routing their messages through this broker.
+ *
+ * Every published message is recorded so that tests can assert on what was sent.
+ */
+class FakeMqttBroker {
+    constructor() {
+        this.clients = [];
+        this.messages = [];
+        this.retained = new Map();
+        this.waiters = [];
+    }
+
+    /**
+     * @param {string} [url]
+     * @param {object} [options]
+     * @returns {FakeMqttClient}
+     */
+    connect(url, options = {}) {
+        const client = new FakeMqttClient(this, options);
+
+        this.clients.push(client);
+        setImmediate(() => {
+            client.connected = true;
+            client.emit("connect");
+        });
+
+        return client;
+    }
+
+    /**
+     * @param {string} topic
+     * @param {string|Buffer} payload
+     * @param {object} [options]
+     * @param {boolean} [options.retain]
+     */
+    publish(topic, payload, options = {}) {
+        const message = { topic: topic, payload: payload.toString(), retain: options.retain === true };
+
+        this.messages.push(message);
+        if (message.retain && message.payload === "") {
+            this.retained.delete(topic);
+        } else if (message.retain) {
+            this.retained.set(topic, message.payload);
+        }
+
+        this.clients.forEach(client => {
+            if (client.connected && client.subscriptions.some(filter => FakeMqttBroker.matches(filter, topic))) {
+                client.emit("message", topic, Buffer.from(message.payload));
+            }
+        });
+
+        this.waiters = this.waiters.filter(waiter => {
+            if (FakeMqttBroker.matches(waiter.filter, topic)) {
+                waiter.resolve(message);
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * @param {string} filter topic filter that may contain wildcards
+     * @returns {Array<{topic: string, payload: string, retain: boolean}>}
+     */
+    getMessages(filter) {
+        return this.messages.filter(message => FakeMqttBroker.matches(filter, message.topic));
+    }
+
+    /**
+     * @param {string} filter
+     * @returns {Promise<{topic: string, payload: string, retain: boolean}>} the next message published on a matching topic
+     */
+    nextMessage(filter) {
+        return new Promise(resolve => {
+            this.waiters.push({ filter: filter, resolve: resolve });
+        });
+    }
+
+    /**
+     * Drops the connection of the client without a clean disconnect, which publishes its last will
+     *
+     * @param {FakeMqttClient} client
+     */
+    drop(client) {
+        client.connected = false;
+        this.clients = this.clients.filter(c => c !== client);
+
+        if (client.options.will) {
+            const will = client.options.will;
+            this.publish(will.topic, will.payload, { retain: will.retain });
+        }
+
+        client.emit("close");
+    }
+
+    clear() {
+        this.messages = [];
+    }
+
+    /**
+     * @param {string} filter
+     * @param {string} topic
+     * @returns {boolean}
+     */
+    static matches(filter, topic) {
+        const filterParts = filter.split("/");
+        const topicParts = topic.split("/");
+
+        for (let i = 0; i < filterParts.length; i++) {
+            if (filterParts[i] === "#") {
+                return true;
+            }
+            if (i >= topicParts.length || (filterParts[i] !== "+" && filterParts[i] !== topicParts[i])) {
+                return false;
+            }
+        }
+
+        return filterParts.length === topicParts.length;
+    }
+}
+
+class FakeMqttClient extends EventEmitter {
+    /**
+     * @param {FakeMqttBroker} broker
+     * @param {object} options
+     */
+    constructor(broker, options) {
+        super();
+
+        this.broker = broker;
+        this.options = options;
+        this.connected = false;
+        this.subscriptions = [];
+    }
+
+    subscribe(topic, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+        }
+
+        const filters = [].concat(topic);
+
+        this.subscriptions.push(...filters);
+        setImmediate(() => {
+            if (callback) {
+                callback(null);
+            }
+
+            // Like real brokers, deliver what is retained on the newly subscribed topics
+            this.broker.retained.forEach((payload, retainedTopic) => {
+                if (this.connected && filters.some(filter => FakeMqttBroker.matches(filter, retainedTopic))) {
+                    this.emit("message", retainedTopic, Buffer.from(payload));
+                }
+            });
+        });
+    }
+
+    publish(topic, payload, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = {};
+        }
+
+        this.broker.publish(topic, payload, options);
+        if (callback) {
+            setImmediate(() => callback(null));
+        }
+    }
+
+    end(force, callback) {
+        this.connected = false;
+        this.broker.clients = this.broker.clients.filter(client => client !== this);
+
+        const done = typeof force === "function" ? force : callback;
+        if (done) {
+            setImmediate(done);
+        }
+    }
+}
+
+module.exports = FakeMqttBroker;
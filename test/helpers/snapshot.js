@@ -0,0 +1,31 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const SNAPSHOT_DIRECTORY = path.join(__dirname, "..", "snapshots");
+
+/**
+ * Compares the value with the JSON snapshot of the given name.
+ * Missing snapshots are written. Run with UPDATE_SNAPSHOTS=1 to overwrite changed ones after reviewing the diff.
+ *
+ * @param {string} name
+ * @param {*} value
+ */
+function assertSnapshot(name, value) {
+    const snapshotPath = path.join(SNAPSHOT_DIRECTORY, `${name}.json`);
+    const serialized = JSON.stringify(value, null, 4) + "\n";
+
+    if (!fs.existsSync(snapshotPath) && process.env.CI) {
+        assert.fail(`Snapshot ${name} is missing`);
+    }
+
+    if (process.env.UPDATE_SNAPSHOTS || !fs.existsSync(snapshotPath)) {
+        fs.mkdirSync(SNAPSHOT_DIRECTORY, { recursive: true });
+        fs.writeFileSync(snapshotPath, serialized);
+        return;
+    }
+
+    assert.deepStrictEqual(JSON.parse(serialized), JSON.parse(fs.readFileSync(snapshotPath, "utf8")));
+}
+
+module.exports = assertSnapshot;